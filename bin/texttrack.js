@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * texttrack
+ * Command-line comparison of two text files, or of two directories file by
+ * file. Like diff(1), it exits with 0 when nothing changed, 1 when something
+ * did and 2 when the comparison could not be made.
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DiffEngine, DiffFormat, Exporter, Report } from '../js/index.js';
+
+const USAGE = `Usage: texttrack [options] <original> <revised>
+
+Compares two text files, or two directories of matching files.
+Exits with 0 when nothing changed, 1 when something did and 2 on errors.
+
+Options:
+  -f, --format <format>      unified (default), word-diff, json (see js/diff-format.js)
+                             or html (a standalone report that prints with change bars)
+  -U, --context <n>          Unchanged lines (paragraphs for word-diff) around changes (default 3)
+  -g, --granularity <level>  word (default), character, hybrid or sentence
+  -i, --ignore-case          Treat case differences as equal
+  -p, --ignore-punctuation   Treat punctuation differences as equal
+  -w, --whitespace           Count whitespace differences (ignored by default)
+      --normalize <form>     Unicode normalization before comparing: NFC or NFKC
+      --fold-quotes          Compare curly quotes and dashes as their ASCII forms
+      --markdown             Compare Markdown blocks (code and tables line by line)
+      --rich-text            Read inline Markdown formatting (**bold**, *italic*, [links](url))
+                             and report formatting changes separately from text changes
+  -q, --quiet                Print nothing; only set the exit status
+  -h, --help                 Show this help
+`;
+
+const FORMATS = ['unified', 'word-diff', 'json', 'html'];
+const GRANULARITIES = ['word', 'character', 'hybrid', 'sentence'];
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{original: string, revised: string, format: string, context: number,
+ *   quiet: boolean, options: Object}|{help: true}} Parsed arguments
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'unified' },
+      context: { type: 'string', short: 'U', default: '3' },
+      granularity: { type: 'string', short: 'g', default: 'word' },
+      'ignore-case': { type: 'boolean', short: 'i', default: false },
+      'ignore-punctuation': { type: 'boolean', short: 'p', default: false },
+      whitespace: { type: 'boolean', short: 'w', default: false },
+      normalize: { type: 'string' },
+      'fold-quotes': { type: 'boolean', default: false },
+      markdown: { type: 'boolean', default: false },
+      'rich-text': { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  if (positionals.length !== 2) {
+    throw new Error('Expected two files or directories to compare');
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+  if (!GRANULARITIES.includes(values.granularity)) {
+    throw new Error(`Unknown granularity "${values.granularity}" (expected ${GRANULARITIES.join(', ')})`);
+  }
+  if (values.normalize !== undefined && !['NFC', 'NFKC'].includes(values.normalize.toUpperCase())) {
+    throw new Error(`Unknown normalization "${values.normalize}" (expected NFC or NFKC)`);
+  }
+  const context = Number(values.context);
+  if (!Number.isInteger(context) || context < 0) {
+    throw new Error(`Invalid context "${values.context}"`);
+  }
+
+  return {
+    original: positionals[0],
+    revised: positionals[1],
+    format: values.format,
+    context,
+    quiet: values.quiet,
+    options: {
+      granularity: values.granularity,
+      ignoreCase: values['ignore-case'],
+      ignorePunctuation: values['ignore-punctuation'],
+      ignoreWhitespace: !values.whitespace,
+      unicodeNormalization: values.normalize ? values.normalize.toUpperCase() : 'none',
+      foldQuotes: values['fold-quotes'],
+      markdown: values.markdown,
+      richText: values['rich-text']
+    }
+  };
+}
+
+/**
+ * Read a text file with normalized line endings
+ * @param {string} file - File path
+ * @returns {Promise<string>} Text
+ */
+async function readText(file) {
+  const text = await readFile(file, 'utf8');
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * List the files below a directory, skipping hidden files and directories
+ * @param {string} dir - Directory path
+ * @param {string} [prefix] - Relative path of dir within the directory being listed
+ * @returns {Promise<string[]>} Relative file paths
+ */
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  const entries = await readdir(path.join(dir, prefix), { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Pair up the files to compare
+ * Files present in only one directory are compared with an empty text.
+ * @param {string} original - Original file or directory
+ * @param {string} revised - Revised file or directory
+ * @returns {Promise<Array<{path: ?string, original: ?string, revised: ?string}>>} File pairs;
+ *   a missing side is null, path is null when two files were given
+ */
+async function filePairs(original, revised) {
+  const [originalStat, revisedStat] = await Promise.all([stat(original), stat(revised)]);
+
+  if (!originalStat.isDirectory() && !revisedStat.isDirectory()) {
+    return [{ path: null, original, revised }];
+  }
+  if (!originalStat.isDirectory() || !revisedStat.isDirectory()) {
+    throw new Error('Cannot compare a directory with a file');
+  }
+
+  const [originalFiles, revisedFiles] = await Promise.all([listFiles(original), listFiles(revised)]);
+  const originalSet = new Set(originalFiles);
+  const revisedSet = new Set(revisedFiles);
+  const all = [...new Set([...originalFiles, ...revisedFiles])].sort();
+
+  return all.map(file => ({
+    path: file,
+    original: originalSet.has(file) ? path.join(original, file) : null,
+    revised: revisedSet.has(file) ? path.join(revised, file) : null
+  }));
+}
+
+/**
+ * Compare one pair of files
+ * @param {Object} pair - File pair (see filePairs)
+ * @param {Object} options - Comparison options
+ * @returns {Promise<Object>} Comparison {path, original, revised, changed, result, originalText, revisedText}
+ */
+async function compareFiles(pair, options) {
+  const [originalText, revisedText] = await Promise.all([
+    pair.original ? readText(pair.original) : '',
+    pair.revised ? readText(pair.revised) : ''
+  ]);
+  const result = DiffEngine.compare(originalText, revisedText, options);
+  return { ...pair, changed: result.changes.length > 0, result, originalText, revisedText };
+}
+
+/**
+ * Format the comparisons
+ * @param {Array<Object>} comparisons - Results of compareFiles
+ * @param {Object} args - Parsed command line
+ * @returns {Promise<string>} Output
+ */
+async function formatOutput(comparisons, args) {
+  const changed = comparisons.filter(comparison => comparison.changed);
+  const names = (comparison) => ({
+    context: args.context,
+    originalName: comparison.original || '/dev/null',
+    revisedName: comparison.revised || '/dev/null'
+  });
+
+  switch (args.format) {
+    case 'json': {
+      // One diff document (see DiffFormat), or one per file for directories
+      const diff = (comparison) => DiffFormat.serialize(comparison.result, comparison.originalText, comparison.revisedText);
+      const output = comparisons.length === 1 && comparisons[0].path === null
+        ? diff(comparisons[0])
+        : {
+          files: comparisons.map(comparison => ({
+            path: comparison.path,
+            original: comparison.original,
+            revised: comparison.revised,
+            changed: comparison.changed,
+            diff: diff(comparison)
+          }))
+        };
+      return `${JSON.stringify(output, null, 2)}\n`;
+    }
+
+    case 'html': {
+      const stylesheets = await Promise.all(Report.stylesheets.map(file =>
+        readFile(new URL(`../${file}`, import.meta.url), 'utf8')
+      ));
+      return Report.toHtml(
+        changed.map(comparison => ({ diffResult: comparison.result, heading: comparison.path })),
+        { title: `${args.original} → ${args.revised}`, css: stylesheets.join('\n'), generator: 'texttrack' }
+      );
+    }
+
+    case 'word-diff':
+      return changed.map(comparison => Exporter.toWordDiff(comparison.result, names(comparison))).join('');
+
+    default:
+      // Diff the file lines themselves, so the patch applies to the files
+      return changed.map(comparison => Exporter.toUnifiedDiff(comparison.result, {
+        ...names(comparison),
+        texts: { original: comparison.originalText, revised: comparison.revisedText }
+      })).join('');
+  }
+}
+
+/**
+ * Run the command line tool
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit status
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseCommandLine(argv);
+  } catch (error) {
+    process.stderr.write(`texttrack: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    const comparisons = [];
+    for (const pair of await filePairs(args.original, args.revised)) {
+      comparisons.push(await compareFiles(pair, args.options));
+    }
+
+    if (!args.quiet) process.stdout.write(await formatOutput(comparisons, args));
+    return comparisons.some(comparison => comparison.changed) ? 1 : 0;
+  } catch (error) {
+    process.stderr.write(`texttrack: ${error.message}\n`);
+    return 2;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
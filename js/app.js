@@ -2,6 +2,19 @@
  * App Controller Module
  * Manages application state, real-time comparison, and modal interactions
  */
+
+import { Tokenizer } from './tokenizer.js';
+import { DiffEngine } from './diff-engine.js';
+import { DiffFormat } from './diff-format.js';
+import { VersionHistory } from './version-history.js';
+import { Merge } from './merge.js';
+import { Renderer } from './renderer.js';
+import { Exporter } from './exporter.js';
+import { Report } from './report.js';
+import { Importer } from './importer.js';
+import { SessionStore } from './session-store.js';
+import { ShareLink } from './share-link.js';
+
 const App = {
   /**
    * Application state
@@ -10,10 +23,40 @@ const App = {
     originalText: '',
     revisedText: '',
     diffResult: null,
+    diffTexts: null,
+    decisions: {},
+    currentChange: -1,
     displayMode: 'visible',
+    comparisonOptions: {
+      granularity: 'hybrid',
+      ignoreCase: false,
+      ignorePunctuation: false,
+      ignoreWhitespace: true,
+      unicodeNormalization: 'none',
+      foldQuotes: false,
+      markdown: false,
+      richText: false
+    },
+    exportFormat: 'unified',
+    exportContext: 3,
+    importTarget: null,
+    versions: [],
+    versionPair: { from: 0, to: 1 },
+    history: null,
+    mergeTexts: { base: '', a: '', b: '' },
+    mergeResult: null,
+    mergeResolutions: {},
+    restoredDecisions: null,
     debounceTimer: null,
     debounceDelay: 300,
-    activeModal: null
+    autosaveTimer: null,
+    autosaveDelay: 1000,
+    activeModal: null,
+    worker: null,
+    workerAvailable: typeof Worker !== 'undefined',
+    pendingJob: null,
+    jobCounter: 0,
+    notices: {}
   },
 
   /**
@@ -26,6 +69,17 @@ const App = {
     revisedWordCount: null,
     comparisonOutput: null,
     comparisonFooter: null,
+    comparisonOptions: null,
+    comparisonProgress: null,
+    changeNav: null,
+    changeCounter: null,
+    exportButton: null,
+    sessionsButton: null,
+    summaryButton: null,
+    versionsButton: null,
+    mergeButton: null,
+    shareButton: null,
+    importInput: null,
     modalOverlay: null,
     modalWindow: null,
     modalTitle: null,
@@ -45,6 +99,13 @@ const App = {
     this.updateWordCounts();
     this.renderDefaultLegend();
     this.animateSubtitle();
+
+    // A shared comparison in the URL takes the place of the autosaved session, if confirmed
+    if (ShareLink.parse(window.location.hash)) {
+      this.openShareLink(true);
+    } else {
+      this.restoreAutosave();
+    }
   },
 
   /**
@@ -116,6 +177,17 @@ const App = {
     this.elements.revisedWordCount = document.getElementById('revisedWordCount');
     this.elements.comparisonOutput = document.getElementById('comparisonOutput');
     this.elements.comparisonFooter = document.getElementById('comparisonFooter');
+    this.elements.comparisonOptions = document.getElementById('comparisonOptions');
+    this.elements.comparisonProgress = document.getElementById('comparisonProgress');
+    this.elements.changeNav = document.getElementById('changeNav');
+    this.elements.changeCounter = document.getElementById('changeCounter');
+    this.elements.exportButton = document.getElementById('exportButton');
+    this.elements.sessionsButton = document.getElementById('sessionsButton');
+    this.elements.summaryButton = document.getElementById('summaryButton');
+    this.elements.versionsButton = document.getElementById('versionsButton');
+    this.elements.mergeButton = document.getElementById('mergeButton');
+    this.elements.shareButton = document.getElementById('shareButton');
+    this.elements.importInput = document.getElementById('importInput');
     this.elements.modalOverlay = document.getElementById('modalOverlay');
     this.elements.modalWindow = document.getElementById('modalWindow');
     this.elements.modalTitle = document.getElementById('modalTitle');
@@ -134,11 +206,52 @@ const App = {
     this.elements.originalText.addEventListener('input', () => {
       this.updateWordCounts();
       this.debouncedCompare();
+      this.scheduleAutosave();
     });
 
     this.elements.revisedText.addEventListener('input', () => {
       this.updateWordCounts();
       this.debouncedCompare();
+      this.scheduleAutosave();
+    });
+
+    // Keep the formatting of pasted web pages and documents in rich-text mode
+    this.elements.originalText.addEventListener('paste', (e) => this.pasteRichText(e));
+    this.elements.revisedText.addEventListener('paste', (e) => this.pasteRichText(e));
+
+    // Save a pending autosave before the page goes away
+    window.addEventListener('pagehide', () => {
+      if (this.state.autosaveTimer) this.autosave();
+    });
+
+    // Import documents from the file picker or by dropping them on a text window
+    document.querySelectorAll('[data-import]').forEach(btn => {
+      btn.addEventListener('click', (e) => this.chooseFile(e.currentTarget.dataset.import));
+    });
+
+    this.elements.importInput.addEventListener('change', () => {
+      const file = this.elements.importInput.files[0];
+      if (file) this.importFile(this.state.importTarget, file);
+      this.elements.importInput.value = '';
+    });
+
+    [['original', 'originalWindow'], ['revised', 'revisedWindow']].forEach(([target, id]) => {
+      const windowEl = document.getElementById(id);
+
+      windowEl.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        windowEl.classList.add('drop-target');
+      });
+      windowEl.addEventListener('dragleave', (e) => {
+        if (!windowEl.contains(e.relatedTarget)) windowEl.classList.remove('drop-target');
+      });
+      windowEl.addEventListener('drop', (e) => {
+        windowEl.classList.remove('drop-target');
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        this.importFile(target, e.dataTransfer.files[0]);
+      });
     });
 
     // Toggle buttons for display mode (main window)
@@ -151,6 +264,78 @@ const App = {
       btn.addEventListener('click', (e) => this.setDisplayMode(e.target.dataset.mode, true));
     });
 
+    // Comparison option buttons: single choice per group, or on/off toggles
+    this.elements.comparisonOptions.querySelectorAll('.option-btn[data-toggle], [data-option] .option-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const button = e.currentTarget;
+        if (button.dataset.toggle) {
+          const option = button.dataset.toggle;
+          this.setComparisonOption(option, !this.state.comparisonOptions[option]);
+        } else {
+          this.setComparisonOption(button.closest('.options-group').dataset.option, button.dataset.value);
+        }
+      });
+    });
+
+    // Review: accept/reject buttons on each change, and for all changes at once
+    [this.elements.comparisonOutput, this.elements.modalBody].forEach(container => {
+      container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-decision]');
+        if (!button) return;
+        const id = Number(button.closest('[data-change]').dataset.change);
+        this.setDecision(id, button.dataset.decision);
+      });
+    });
+
+    // Moved paragraphs: each end links to the other
+    [this.elements.comparisonOutput, this.elements.modalBody].forEach(container => {
+      container.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-move-jump]');
+        if (!link) return;
+        this.jumpToMove(link.closest('.comparison-output'), Number(link.dataset.move), link.dataset.moveJump);
+      });
+    });
+
+    this.elements.comparisonOptions.querySelectorAll('[data-review]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const action = e.currentTarget.dataset.review;
+        this.decideAll(action === 'reset' ? null : action);
+      });
+    });
+
+    // Change navigation: header buttons and minimap markers
+    this.elements.changeNav.querySelectorAll('[data-step]').forEach(btn => {
+      btn.addEventListener('click', (e) => this.navigateChange(Number(e.currentTarget.dataset.step)));
+    });
+
+    [this.elements.comparisonOutput.parentElement, this.elements.modalBody].forEach(container => {
+      container.addEventListener('click', (e) => {
+        const marker = e.target.closest('.minimap-marker');
+        if (marker) this.goToChange(Number(marker.dataset.change));
+      });
+    });
+
+    // Keep minimap markers and move connectors aligned when the output is resized
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => {
+        this.updateMinimap(this.elements.comparisonOutput);
+        this.updateMoveConnectors(this.elements.comparisonOutput);
+      }).observe(this.elements.comparisonOutput);
+    }
+
+    // Share links pasted into the address bar of an open page
+    window.addEventListener('hashchange', () => {
+      if (ShareLink.parse(window.location.hash)) this.openShareLink();
+    });
+
+    // Export, share, session, version and merge dialogs
+    this.elements.exportButton.addEventListener('click', () => this.openModal('export'));
+    this.elements.shareButton.addEventListener('click', () => this.openModal('share'));
+    this.elements.sessionsButton.addEventListener('click', () => this.openModal('sessions'));
+    this.elements.summaryButton.addEventListener('click', () => this.openModal('summary'));
+    this.elements.versionsButton.addEventListener('click', () => this.openModal('versions'));
+    this.elements.mergeButton.addEventListener('click', () => this.openModal('merge'));
+
     // Maximize buttons
     document.querySelectorAll('.traffic-light.maximize[data-target]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -169,10 +354,28 @@ const App = {
       }
     });
 
-    // Close modal on Escape key
+    // Keyboard shortcuts: Escape closes the modal; n/p and Alt+Down/Up move between changes
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.state.activeModal) {
         this.closeModal();
+        return;
+      }
+
+      // Editing keys (Alt+arrows move lines on some platforms) stay with the field being typed in
+      const typing = e.target.closest && e.target.closest('textarea, input, select, [contenteditable]');
+      if (typing || e.ctrlKey || e.metaKey) return;
+
+      let step = 0;
+      if (e.altKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        step = e.key === 'ArrowDown' ? 1 : -1;
+      } else if (!e.altKey && (e.key === 'n' || e.key === 'p')) {
+        step = e.key === 'n' ? 1 : -1;
+      }
+
+      // Only while the comparison is in view (not over the text or export modals)
+      if (step !== 0 && (!this.state.activeModal || this.state.activeModal === 'comparison')) {
+        e.preventDefault();
+        this.navigateChange(step);
       }
     });
   },
@@ -192,6 +395,10 @@ const App = {
       clearTimeout(this.state.debounceTimer);
     }
 
+    // Any running comparison is now stale, and so are decisions being restored
+    this.cancelComparison();
+    this.state.restoredDecisions = null;
+
     this.state.debounceTimer = setTimeout(() => {
       this.runComparison();
     }, this.state.debounceDelay);
@@ -211,6 +418,10 @@ const App = {
       `${origCount} word${origCount !== 1 ? 's' : ''}`;
     this.elements.revisedWordCount.textContent =
       `${revCount} word${revCount !== 1 ? 's' : ''}`;
+    [this.elements.originalWordCount, this.elements.revisedWordCount].forEach(el => {
+      el.classList.remove('import-error');
+      el.title = '';
+    });
 
     // Update modal word count if open
     if (this.state.activeModal === 'original') {
@@ -220,47 +431,336 @@ const App = {
     }
   },
 
+  /**
+   * Open the file picker
+   * @param {string} target - Where the picked file goes (see importFile)
+   * @param {string} [accept] - File types offered by the picker
+   */
+  chooseFile(target, accept = Importer.accept) {
+    this.state.importTarget = target;
+    this.elements.importInput.accept = accept;
+    this.elements.importInput.click();
+  },
+
+  /**
+   * Import a document into the original or revised text or as a new version,
+   * or open a comparison exported as JSON
+   * @param {string} target - 'original', 'revised', 'version' or 'diff'
+   * @param {File} file - Dropped or picked file
+   */
+  async importFile(target, file) {
+    if (target === 'diff') {
+      try {
+        this.openDiffDocument(JSON.parse(await file.text()));
+        this.setExportStatus(`Opened ${file.name}`);
+      } catch (error) {
+        this.setExportStatus(error instanceof SyntaxError ? `${file.name} is not a JSON file` : error.message);
+      }
+      return;
+    }
+
+    if (target === 'version') {
+      try {
+        this.addVersion(file.name.replace(/\.[^.]+$/, ''), await Importer.readFile(file, this.importOptions()));
+      } catch (error) {
+        this.setExportStatus(error.message);
+      }
+      return;
+    }
+
+    const textarea = target === 'original' ? this.elements.originalText : this.elements.revisedText;
+    const wordCount = target === 'original' ? this.elements.originalWordCount : this.elements.revisedWordCount;
+
+    wordCount.textContent = 'Importing…';
+    try {
+      textarea.value = await Importer.readFile(file, this.importOptions());
+      textarea.dispatchEvent(new Event('input'));
+    } catch (error) {
+      this.updateWordCounts();
+      wordCount.textContent = error.message;
+      wordCount.title = error.message;
+      wordCount.classList.add('import-error');
+    }
+  },
+
+  /**
+   * Options for reading imported documents: HTML keeps its inline
+   * formatting in rich-text mode
+   * @returns {Object} Importer options
+   */
+  importOptions() {
+    return { formatting: this.state.comparisonOptions.richText };
+  },
+
+  /**
+   * Paste HTML from the clipboard with its inline formatting in rich-text mode
+   * The formatting is inserted as inline Markdown (see Importer.extractHtml);
+   * other pastes are left to the browser.
+   * @param {ClipboardEvent} e - Paste event on a text input
+   */
+  pasteRichText(e) {
+    const html = e.clipboardData ? e.clipboardData.getData('text/html') : '';
+    if (!this.state.comparisonOptions.richText || !html) return;
+
+    e.preventDefault();
+    const textarea = e.currentTarget;
+    textarea.setRangeText(Importer.extractHtml(html, this.importOptions()), textarea.selectionStart, textarea.selectionEnd, 'end');
+    textarea.dispatchEvent(new Event('input'));
+  },
+
   /**
    * Run the comparison
+   * Uses the diff worker when available, inline otherwise
    */
   runComparison() {
     const original = this.elements.originalText.value;
     const revised = this.elements.revisedText.value;
 
+    this.cancelComparison();
+
+    // A version history or merge is still running; compare once it is done
+    if (this.state.pendingJob) {
+      this.state.pendingJob.resumeComparison = true;
+      return;
+    }
+
     if (!original.trim() || !revised.trim()) {
-      this.state.diffResult = null;
-      this.elements.comparisonOutput.innerHTML = Renderer.renderDiff(null, this.state.displayMode);
-      this.elements.comparisonOutput.className = `comparison-output diff-${this.state.displayMode}`;
-      this.elements.comparisonFooter.innerHTML = Renderer.renderLegend(null);
-
-      // Update modal if comparison is open
-      if (this.state.activeModal === 'comparison') {
-        this.updateModalComparison();
-      }
+      this.showComparisonResult(null);
       return;
     }
 
-    this.state.diffResult = DiffEngine.compare(original, revised);
+    if (!this.startWorkerJob({ kind: 'compare', texts: { original, revised } })) {
+      this.showComparisonResult(DiffEngine.compare(original, revised, this.state.comparisonOptions), { original, revised });
+    }
+  },
+
+  /**
+   * Render a comparison result in the main window and open modal
+   * @param {?Object} diffResult - Diff result from DiffEngine, or null when empty
+   * @param {?{original: string, revised: string}} [texts] - Texts the result was computed
+   *   from; the panels may have been edited since
+   */
+  showComparisonResult(diffResult, texts = null) {
+    this.state.diffResult = diffResult;
+    this.state.diffTexts = diffResult ? texts : null;
+    this.state.decisions = (diffResult && this.state.restoredDecisions) || {};
+    this.state.restoredDecisions = null;
+    this.state.currentChange = -1;
 
     // Render main window
-    this.elements.comparisonFooter.innerHTML = Renderer.renderLegend(this.state.diffResult.stats);
-    this.elements.comparisonOutput.innerHTML = Renderer.renderDiff(this.state.diffResult, this.state.displayMode);
-    this.elements.comparisonOutput.className = `comparison-output diff-${this.state.displayMode}`;
+    this.elements.comparisonFooter.innerHTML = Renderer.renderLegend(diffResult ? diffResult.stats : null);
+    this.renderOutput(this.elements.comparisonOutput);
+    this.updateChangeNav();
 
     // Update modal if comparison is open
     if (this.state.activeModal === 'comparison') {
       this.updateModalComparison();
+    } else if (this.state.activeModal === 'export') {
+      this.updateExportPreview();
+    } else if (this.state.activeModal === 'summary') {
+      this.updateSummary();
+    }
+  },
+
+  /**
+   * Create the diff worker
+   * Browsers without module workers report an error on load and the app falls back to inline comparisons.
+   * @returns {?Worker} Worker, or null when workers cannot be created (e.g. file://)
+   */
+  createWorker() {
+    try {
+      const worker = new Worker(new URL('./diff-worker.js', import.meta.url), { type: 'module' });
+      worker.addEventListener('message', (e) => this.handleWorkerMessage(e.data));
+      worker.addEventListener('error', (e) => {
+        e.preventDefault();
+        this.disableWorker();
+      });
+      return worker;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Post a job to the worker
+   * @param {Object} job - {kind, texts, resumeComparison?}: a comparison ('compare', texts
+   *   {original, revised}), a cumulative diff of a chain of versions ('history', texts
+   *   {versions}) or a three-way merge ('merge', texts {base, a, b})
+   * @returns {boolean} False when no worker is available and the caller should run the job inline
+   */
+  startWorkerJob(job) {
+    if (!this.state.workerAvailable) return false;
+
+    if (!this.state.worker) {
+      this.state.worker = this.createWorker();
+      if (!this.state.worker) {
+        this.state.workerAvailable = false;
+        return false;
+      }
+    }
+
+    const jobId = ++this.state.jobCounter;
+    this.state.pendingJob = { jobId, ...job };
+    this.state.worker.postMessage({ jobId, kind: job.kind, texts: job.texts, options: this.state.comparisonOptions });
+    return true;
+  },
+
+  /**
+   * Run a worker job on the main thread
+   * @param {Object} job - Job (see startWorkerJob)
+   * @returns {Object} Diff result, version history or merge result
+   */
+  runJobInline(job) {
+    const { texts } = job;
+    const options = this.state.comparisonOptions;
+
+    switch (job.kind) {
+      case 'history':
+        return VersionHistory.cumulative(texts.versions, options);
+      case 'merge':
+        return Merge.merge(texts.base, texts.a, texts.b, options);
+      default:
+        return DiffEngine.compare(texts.original, texts.revised, options);
+    }
+  },
+
+  /**
+   * Show the result of a finished job
+   * @param {Object} job - Job (see startWorkerJob)
+   * @param {Object} result - Diff result, version history or merge result
+   */
+  finishJob(job, result) {
+    if (job.kind === 'compare') {
+      this.showComparisonResult(result, job.texts);
+      return;
+    }
+
+    if (job.kind === 'history') {
+      this.showHistoryResult(result);
+    } else {
+      this.showMergeResult(result);
+    }
+    if (job.resumeComparison) this.runComparison();
+  },
+
+  /**
+   * Handle a message from the diff worker
+   * @param {Object} message - {jobId, type: 'progress'|'result'|'error', ...}
+   */
+  handleWorkerMessage(message) {
+    const job = this.state.pendingJob;
+
+    // Ignore messages from cancelled jobs
+    if (!job || message.jobId !== job.jobId) return;
+
+    if (message.type === 'progress') {
+      this.showProgress(message.done / message.total);
+      return;
+    }
+
+    this.state.pendingJob = null;
+    this.hideProgress();
+
+    if (message.type === 'result') {
+      this.setNotice('worker', null);
+      this.finishJob(job, message.result);
+    } else {
+      this.setNotice('worker', 'Background comparison failed; compared on the page');
+      this.finishJob(job, this.runJobInline(job));
     }
   },
 
+  /**
+   * Stop using the worker (failed to load) and finish any pending job inline
+   */
+  disableWorker() {
+    const job = this.state.pendingJob;
+
+    if (this.state.worker) this.state.worker.terminate();
+    this.state.worker = null;
+    this.state.workerAvailable = false;
+    this.state.pendingJob = null;
+    this.hideProgress();
+
+    if (job) {
+      this.finishJob(job, this.runJobInline(job));
+    }
+  },
+
+  /**
+   * Cancel the running comparison, if any
+   * Version history and merge jobs are left to finish (see runComparison).
+   */
+  cancelComparison() {
+    const job = this.state.pendingJob;
+    if (job && job.kind === 'compare') this.cancelJob();
+  },
+
+  /**
+   * Cancel the running worker job, if any
+   * The worker is busy with the stale job, so it is terminated and recreated on demand.
+   */
+  cancelJob() {
+    if (!this.state.pendingJob) return;
+
+    this.state.worker.terminate();
+    this.state.worker = null;
+    this.state.pendingJob = null;
+    this.hideProgress();
+  },
+
+  /**
+   * Cancel the running worker job to start another one
+   * @returns {boolean} True when a comparison was pending and should be run again afterwards
+   */
+  interruptComparison() {
+    const job = this.state.pendingJob;
+    this.cancelJob();
+    return Boolean(job && (job.kind === 'compare' || job.resumeComparison));
+  },
+
+  /**
+   * Show comparison progress in the comparison window header
+   * @param {number} fraction - Progress 0-1
+   */
+  showProgress(fraction) {
+    this.elements.comparisonProgress.textContent = `Comparing… ${Math.round(fraction * 100)}%`;
+    this.elements.comparisonProgress.hidden = false;
+  },
+
+  /**
+   * Hide comparison progress
+   * Notices (see setNotice) take its place in the header.
+   */
+  hideProgress() {
+    const notices = Object.values(this.state.notices);
+    this.elements.comparisonProgress.textContent = notices.join(' · ');
+    this.elements.comparisonProgress.hidden = notices.length === 0;
+  },
+
+  /**
+   * Show or clear a notice in the comparison window header, e.g. a failed background job
+   * @param {string} source - What the notice is about ('worker', ...)
+   * @param {?string} message - Notice text, or null to clear it
+   */
+  setNotice(source, message) {
+    if (message) {
+      this.state.notices[source] = message;
+    } else {
+      delete this.state.notices[source];
+    }
+
+    // Progress of a running job stays until the job ends
+    if (!this.state.pendingJob) this.hideProgress();
+  },
+
   /**
    * Update modal comparison content
    */
   updateModalComparison() {
     const outputDiv = this.elements.modalBody.querySelector('.comparison-output');
     if (outputDiv) {
-      outputDiv.innerHTML = Renderer.renderDiff(this.state.diffResult, this.state.displayMode);
-      outputDiv.className = `comparison-output diff-${this.state.displayMode}`;
+      this.renderOutput(outputDiv);
     }
 
     // Update footer stats
@@ -272,8 +772,8 @@ const App = {
   },
 
   /**
-   * Set display mode (visible/hidden)
-   * @param {string} mode - 'visible' or 'hidden'
+   * Set display mode (visible/hidden/split/result)
+   * @param {string} mode - 'visible', 'hidden', 'split' or 'result'
    * @param {boolean} fromModal - Whether called from modal toggle
    */
   setDisplayMode(mode, fromModal = false) {
@@ -291,103 +791,1363 @@ const App = {
 
     // Re-render main comparison
     if (this.state.diffResult) {
-      this.elements.comparisonOutput.innerHTML = Renderer.renderDiff(this.state.diffResult, mode);
-      this.elements.comparisonOutput.className = `comparison-output diff-${mode}`;
+      this.renderOutput(this.elements.comparisonOutput);
     }
+    this.updateChangeNav();
 
     // Re-render modal comparison if open
     if (this.state.activeModal === 'comparison') {
       this.updateModalComparison();
     }
+    this.scheduleAutosave();
   },
 
   /**
-   * Open maximize modal
-   * @param {string} target - 'original', 'revised', or 'comparison'
+   * Accept or reject one change; choosing the current decision again undoes it
+   * @param {number} id - Change id
+   * @param {string} decision - 'accept' or 'reject'
    */
-  openModal(target) {
-    this.state.activeModal = target;
+  setDecision(id, decision) {
+    if (this.state.decisions[id] === decision) {
+      delete this.state.decisions[id];
+    } else {
+      this.state.decisions[id] = decision;
+    }
+    this.refreshReview();
+  },
 
-    // Set modal title
-    const titles = {
-      original: 'Original',
-      revised: 'Revised',
-      comparison: 'Comparison'
-    };
-    this.elements.modalTitle.textContent = titles[target] || 'Window';
+  /**
+   * Accept or reject every change, or clear all decisions
+   * @param {?string} decision - 'accept', 'reject', or null to reset
+   */
+  decideAll(decision) {
+    if (!this.state.diffResult) return;
 
-    // Reset header elements visibility
-    this.elements.modalWordCount.style.display = 'none';
-    this.elements.modalToggle.style.display = 'none';
-    this.elements.modalFooter.style.display = 'none';
+    this.state.decisions = {};
+    if (decision) {
+      for (const change of this.state.diffResult.changes) {
+        this.state.decisions[change.id] = decision;
+      }
+    }
+    this.refreshReview();
+  },
 
-    // Clear modal body
-    this.elements.modalBody.innerHTML = '';
+  /**
+   * Re-render the comparison after review decisions changed, keeping the scroll position
+   */
+  refreshReview() {
+    this.scheduleAutosave();
 
-    if (target === 'original' || target === 'revised') {
-      // Show word count
-      this.elements.modalWordCount.style.display = '';
-      const sourceTextarea = target === 'original'
-        ? this.elements.originalText
-        : this.elements.revisedText;
-      const count = Tokenizer.countWords(sourceTextarea.value);
-      this.elements.modalWordCount.textContent = `${count} word${count !== 1 ? 's' : ''}`;
+    const output = this.elements.comparisonOutput;
+    const scrollTop = output.scrollTop;
+    this.renderOutput(output);
+    output.scrollTop = scrollTop;
 
-      // Create textarea
-      const textarea = document.createElement('textarea');
-      textarea.className = 'text-input';
-      textarea.spellcheck = false;
-      textarea.placeholder = target === 'original'
-        ? 'Paste your original text here...'
-        : 'Paste your revised text here...';
-      textarea.value = sourceTextarea.value;
+    if (this.state.activeModal === 'comparison') {
+      const outputDiv = this.elements.modalBody.querySelector('.comparison-output');
+      const modalScrollTop = outputDiv.scrollTop;
+      this.updateModalComparison();
+      outputDiv.scrollTop = modalScrollTop;
+    } else if (this.state.activeModal === 'export') {
+      this.updateExportPreview();
+    }
+  },
 
-      // Sync changes back and update word count
-      textarea.addEventListener('input', () => {
-        sourceTextarea.value = textarea.value;
-        sourceTextarea.dispatchEvent(new Event('input'));
-      });
+  /**
+   * Render the comparison into an output element (main window or modal)
+   * and refresh its current-change highlight, minimap and move connectors
+   * @param {HTMLElement} output - .comparison-output element
+   */
+  renderOutput(output) {
+    output.innerHTML = Renderer.renderDiff(this.state.diffResult, this.state.displayMode, this.state.decisions);
+    output.className = `comparison-output diff-${this.state.displayMode}`;
+    this.updateMinimap(output);
+    this.updateMoveConnectors(output);
+    this.markCurrentChange(output);
+  },
 
-      this.elements.modalBody.appendChild(textarea);
+  /**
+   * Scroll from one end of a moved paragraph to the other and flash it
+   * @param {HTMLElement} output - .comparison-output element
+   * @param {number} index - Paragraph index of the move in the diff result
+   * @param {string} target - 'origin' or 'destination'
+   */
+  jumpToMove(output, index, target) {
+    const end = output.querySelector(target === 'origin'
+      ? `.move-origin[data-move="${index}"]`
+      : `.moved-indicator[data-move="${index}"]`);
+    if (!end) return;
+    const element = target === 'origin' ? end : end.closest('.diff-paragraph');
 
-    } else if (target === 'comparison') {
-      // Show toggle and footer
-      this.elements.modalToggle.style.display = '';
-      this.elements.modalFooter.style.display = '';
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    element.classList.add('move-flash');
+    element.addEventListener('animationend', () => element.classList.remove('move-flash'), { once: true });
+  },
 
-      // Sync toggle state
-      this.elements.modalToggle.querySelectorAll('.toggle-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.mode === this.state.displayMode);
-      });
+  /**
+   * Draw connectors between the two ends of each moved paragraph in the split view
+   * @param {HTMLElement} output - .comparison-output element
+   */
+  updateMoveConnectors(output) {
+    const view = output.querySelector('.split-view');
+    if (!view) return;
 
-      // Create comparison output
-      const outputDiv = document.createElement('div');
-      outputDiv.className = `comparison-output diff-${this.state.displayMode}`;
-      outputDiv.innerHTML = Renderer.renderDiff(this.state.diffResult, this.state.displayMode);
-      this.elements.modalBody.appendChild(outputDiv);
+    const previous = view.querySelector('.move-connectors');
+    if (previous) previous.remove();
 
-      // Render footer stats
-      if (this.state.diffResult) {
-        this.elements.modalFooter.innerHTML = Renderer.renderLegend(this.state.diffResult.stats);
-      } else {
-        this.elements.modalFooter.innerHTML = Renderer.renderLegend(null);
-      }
-    }
+    // Offset within the split view (the offset parent chain's root)
+    const offset = (element, side) => {
+      let value = 0;
+      for (let el = element; el && el !== view; el = el.offsetParent) value += el[side];
+      return value;
+    };
 
-    // Show modal
-    this.elements.modalOverlay.classList.remove('closing');
-    this.elements.modalOverlay.classList.add('active');
+    const connectors = [];
+    for (const origin of view.querySelectorAll('.move-origin')) {
+      const indicator = view.querySelector(`.moved-indicator[data-move="${origin.dataset.move}"]`);
+      if (!indicator) continue;
+      const destination = indicator.closest('.split-cell');
+      const move = Number(indicator.dataset.change);
 
-    // Focus textarea if applicable
-    const textarea = this.elements.modalBody.querySelector('textarea');
-    if (textarea) {
-      setTimeout(() => {
-        textarea.focus();
-        textarea.selectionStart = textarea.selectionEnd = textarea.value.length;
-      }, 100);
+      connectors.push({
+        move,
+        decision: this.state.decisions[move],
+        x1: offset(origin, 'offsetLeft') + origin.offsetWidth,
+        y1: offset(origin, 'offsetTop') + origin.offsetHeight / 2,
+        x2: offset(destination, 'offsetLeft'),
+        y2: offset(destination, 'offsetTop') + destination.offsetHeight / 2
+      });
+    }
+
+    if (connectors.length > 0) {
+      view.insertAdjacentHTML('beforeend', Renderer.renderMoveConnectors(connectors, view.offsetWidth, view.offsetHeight));
     }
   },
 
+  /**
+   * Element that represents a change in an output: the run of words,
+   * or the whole paragraph for a move. The split view renders a run on both
+   * sides; the first side that shows any text is used.
+   * @param {HTMLElement} output - .comparison-output element
+   * @param {number} id - Change id
+   * @returns {?HTMLElement} Change element
+   */
+  changeElement(output, id) {
+    const elements = Array.from(output.querySelectorAll(`.change[data-change="${id}"], .moved-indicator[data-change="${id}"]`));
+    const element = elements.find(el => el.textContent.trim()) || elements[0];
+    if (!element) return null;
+    return element.classList.contains('moved-indicator') ? element.closest('.diff-paragraph') : element;
+  },
+
+  /**
+   * Move to the next or previous change, wrapping around at either end
+   * @param {number} step - 1 for next, -1 for previous
+   */
+  navigateChange(step) {
+    const changes = this.state.diffResult ? this.state.diffResult.changes : [];
+    if (changes.length === 0 || this.state.displayMode === 'result') return;
+
+    const count = changes.length;
+    const current = this.state.currentChange;
+    const index = current < 0
+      ? (step > 0 ? 0 : count - 1)
+      : (current + step + count) % count;
+    this.goToChange(changes[index].id);
+  },
+
+  /**
+   * Make a change current: highlight it, scroll it into view and focus it
+   * @param {number} id - Change id
+   */
+  goToChange(id) {
+    this.state.currentChange = id;
+
+    const outputs = [this.elements.comparisonOutput];
+    const modalOutput = this.state.activeModal === 'comparison'
+      ? this.elements.modalBody.querySelector('.comparison-output')
+      : null;
+    if (modalOutput) outputs.push(modalOutput);
+    outputs.forEach(output => this.markCurrentChange(output));
+
+    const element = this.changeElement(modalOutput || this.elements.comparisonOutput, id);
+    if (element) {
+      element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      element.focus({ preventScroll: true });
+    }
+    this.updateChangeNav();
+  },
+
+  /**
+   * Highlight the current change in an output
+   * @param {HTMLElement} output - .comparison-output element
+   */
+  markCurrentChange(output) {
+    output.querySelectorAll('.change-current').forEach(el => {
+      el.classList.remove('change-current');
+      el.removeAttribute('tabindex');
+    });
+
+    if (this.state.currentChange < 0) return;
+    const element = this.changeElement(output, this.state.currentChange);
+    if (element) {
+      element.classList.add('change-current');
+      element.tabIndex = -1;
+    }
+
+    const minimap = output.parentElement.querySelector('.comparison-minimap');
+    if (minimap) {
+      minimap.querySelectorAll('.minimap-marker').forEach(marker => {
+        marker.classList.toggle('current', Number(marker.dataset.change) === this.state.currentChange);
+      });
+    }
+  },
+
+  /**
+   * Update the change counter and navigation buttons in the header
+   */
+  updateChangeNav() {
+    const changes = this.state.diffResult ? this.state.diffResult.changes : [];
+    const navigable = changes.length > 0 && this.state.displayMode !== 'result';
+
+    this.elements.changeNav.hidden = !navigable;
+    if (!navigable) return;
+
+    const index = changes.findIndex(change => change.id === this.state.currentChange);
+    this.elements.changeCounter.textContent = index >= 0
+      ? `Change ${index + 1} of ${changes.length}`
+      : `${changes.length} change${changes.length !== 1 ? 's' : ''}`;
+  },
+
+  /**
+   * Draw minimap markers beside an output, positioned where each change is rendered
+   * @param {HTMLElement} output - .comparison-output element
+   */
+  updateMinimap(output) {
+    const minimap = output.parentElement.querySelector('.comparison-minimap');
+    if (!minimap) return;
+
+    const changes = this.state.diffResult ? this.state.diffResult.changes : [];
+    const height = output.scrollHeight;
+    if (changes.length === 0 || this.state.displayMode === 'result' || height === 0) {
+      minimap.innerHTML = '';
+      return;
+    }
+
+    const markers = [];
+    for (const change of changes) {
+      const element = this.changeElement(output, change.id);
+      if (!element) continue;
+
+      // Offset within the output (the output is the offset parent chain's root)
+      let top = 0;
+      for (let el = element; el && el !== output; el = el.offsetParent) top += el.offsetTop;
+      markers.push({ id: change.id, type: change.type, top: top / height, height: element.offsetHeight / height });
+    }
+
+    minimap.innerHTML = Renderer.renderMinimap(markers, this.state.currentChange);
+  },
+
+  /**
+   * Set a comparison option and re-run the comparison
+   * @param {string} option - Option name, e.g. 'granularity' or 'ignoreCase'
+   * @param {string|boolean} value - Option value
+   */
+  setComparisonOption(option, value) {
+    this.state.comparisonOptions[option] = value;
+    this.state.restoredDecisions = null;
+    this.syncOptionButtons();
+    this.runComparison();
+    this.scheduleAutosave();
+  },
+
+  /**
+   * Update option buttons to match the current comparison options
+   */
+  syncOptionButtons() {
+    const options = this.state.comparisonOptions;
+
+    this.elements.comparisonOptions.querySelectorAll('.option-btn[data-toggle], [data-option] .option-btn').forEach(btn => {
+      if (btn.dataset.toggle) {
+        const on = Boolean(options[btn.dataset.toggle]);
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', String(on));
+      } else {
+        const option = btn.closest('.options-group').dataset.option;
+        btn.classList.toggle('active', options[option] === btn.dataset.value);
+      }
+    });
+  },
+
+  /**
+   * Open maximize modal
+   * @param {string} target - 'original', 'revised', 'comparison' or 'export'
+   */
+  openModal(target) {
+    this.state.activeModal = target;
+
+    // Set modal title
+    const titles = {
+      original: 'Original',
+      revised: 'Revised',
+      comparison: 'Comparison',
+      export: 'Export',
+      summary: 'Summary',
+      share: 'Share',
+      sessions: 'Sessions',
+      versions: 'Versions',
+      merge: 'Three-way merge'
+    };
+    this.elements.modalTitle.textContent = titles[target] || 'Window';
+
+    // Reset header elements visibility
+    this.elements.modalWordCount.style.display = 'none';
+    this.elements.modalToggle.style.display = 'none';
+    this.elements.modalFooter.style.display = 'none';
+
+    // Clear modal body
+    this.elements.modalBody.innerHTML = '';
+
+    if (target === 'original' || target === 'revised') {
+      // Show word count
+      this.elements.modalWordCount.style.display = '';
+      const sourceTextarea = target === 'original'
+        ? this.elements.originalText
+        : this.elements.revisedText;
+      const count = Tokenizer.countWords(sourceTextarea.value);
+      this.elements.modalWordCount.textContent = `${count} word${count !== 1 ? 's' : ''}`;
+
+      // Create textarea
+      const textarea = document.createElement('textarea');
+      textarea.className = 'text-input';
+      textarea.spellcheck = false;
+      textarea.placeholder = target === 'original'
+        ? 'Paste your original text here...'
+        : 'Paste your revised text here...';
+      textarea.value = sourceTextarea.value;
+
+      // Sync changes back and update word count
+      textarea.addEventListener('input', () => {
+        sourceTextarea.value = textarea.value;
+        sourceTextarea.dispatchEvent(new Event('input'));
+      });
+      textarea.addEventListener('paste', (e) => this.pasteRichText(e));
+
+      this.elements.modalBody.appendChild(textarea);
+
+    } else if (target === 'comparison') {
+      // Show toggle and footer
+      this.elements.modalToggle.style.display = '';
+      this.elements.modalFooter.style.display = '';
+
+      // Sync toggle state
+      this.elements.modalToggle.querySelectorAll('.toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === this.state.displayMode);
+      });
+
+      // Create comparison output with its minimap
+      const body = document.createElement('div');
+      body.className = 'comparison-body';
+      const outputDiv = document.createElement('div');
+      const minimap = document.createElement('div');
+      minimap.className = 'comparison-minimap';
+      minimap.setAttribute('aria-hidden', 'true');
+      body.append(outputDiv, minimap);
+      this.elements.modalBody.appendChild(body);
+      this.renderOutput(outputDiv);
+
+      // Render footer stats
+      if (this.state.diffResult) {
+        this.elements.modalFooter.innerHTML = Renderer.renderLegend(this.state.diffResult.stats);
+      } else {
+        this.elements.modalFooter.innerHTML = Renderer.renderLegend(null);
+      }
+
+    } else if (target === 'export') {
+      this.renderExportPanel();
+    } else if (target === 'summary') {
+      this.renderSummaryPanel();
+    } else if (target === 'share') {
+      this.renderSharePanel();
+    } else if (target === 'sessions') {
+      this.renderSessionsPanel();
+    } else if (target === 'versions') {
+      this.renderVersionsPanel();
+    } else if (target === 'merge') {
+      this.renderMergePanel();
+    }
+
+    // Show modal
+    this.elements.modalOverlay.classList.remove('closing');
+    this.elements.modalOverlay.classList.add('active');
+
+    // Focus textarea if applicable
+    const textarea = this.elements.modalBody.querySelector('textarea');
+    if (textarea && !textarea.readOnly) {
+      setTimeout(() => {
+        textarea.focus();
+        textarea.selectionStart = textarea.selectionEnd = textarea.value.length;
+      }, 100);
+    }
+  },
+
+  /**
+   * Build the summary panel in the modal: statistics of the current comparison
+   * and a heat list of changed paragraphs that jumps to them in the diff
+   */
+  renderSummaryPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'summary-panel';
+
+    panel.addEventListener('click', (e) => {
+      const item = e.target.closest('.heat-item');
+      if (!item) return;
+
+      this.closeModal();
+      if (this.state.displayMode === 'result') this.setDisplayMode('visible');
+      this.goToChange(Number(item.dataset.change));
+    });
+
+    this.elements.modalBody.appendChild(panel);
+    this.updateSummary();
+  },
+
+  /**
+   * Refresh the summary panel
+   */
+  updateSummary() {
+    const panel = this.elements.modalBody.querySelector('.summary-panel');
+    if (panel) panel.innerHTML = Renderer.renderSummary(this.state.diffResult);
+  },
+
+  /**
+   * Build the export panel in the modal: format and context controls,
+   * copy/download actions and a preview of the exported text
+   */
+  renderExportPanel() {
+    const controls = document.createElement('div');
+    controls.className = 'comparison-options';
+    controls.innerHTML = `
+      <span class="options-label">Format</span>
+      <div class="options-group">
+        <button type="button" class="option-btn" data-format="unified">Unified diff</button>
+        <button type="button" class="option-btn" data-format="word">Word diff</button>
+        <button type="button" class="option-btn" data-format="docx">Word document</button>
+        <button type="button" class="option-btn" data-format="report">HTML report</button>
+        <button type="button" class="option-btn" data-format="merged">Merged text</button>
+        <button type="button" class="option-btn" data-format="json">JSON</button>
+      </div>
+      <span class="options-label">Context</span>
+      <input type="number" class="export-context" min="0" max="99" value="${this.state.exportContext}">
+      <div class="options-group">
+        <button type="button" class="option-btn" data-action="copy">Copy</button>
+        <button type="button" class="option-btn" data-action="download">Download</button>
+        <button type="button" class="option-btn" data-action="open" title="Open a comparison exported as JSON">Open JSON…</button>
+      </div>
+      <span class="export-status"></span>
+    `;
+
+    const preview = document.createElement('textarea');
+    preview.className = 'text-input export-preview';
+    preview.readOnly = true;
+    preview.spellcheck = false;
+
+    controls.querySelectorAll('[data-format]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.state.exportFormat = e.currentTarget.dataset.format;
+        this.updateExportPreview();
+      });
+    });
+
+    controls.querySelector('.export-context').addEventListener('input', (e) => {
+      const context = parseInt(e.target.value, 10);
+      if (context >= 0) {
+        this.state.exportContext = context;
+        this.updateExportPreview();
+      }
+    });
+
+    controls.querySelector('[data-action="copy"]').addEventListener('click', () => this.copyExport());
+    controls.querySelector('[data-action="download"]').addEventListener('click', () => this.downloadExport());
+    controls.querySelector('[data-action="open"]').addEventListener('click', () => {
+      this.chooseFile('diff', '.json,application/json');
+    });
+
+    this.elements.modalBody.appendChild(controls);
+    this.elements.modalBody.appendChild(preview);
+    this.updateExportPreview();
+  },
+
+  /**
+   * Serialize the current comparison in the selected text export format
+   * @returns {string} Exported text; empty without a comparison or changes,
+   *   or when the format has no text preview (.docx and the HTML report)
+   */
+  exportText() {
+    if (!this.state.diffResult || !this.hasTextExport()) return '';
+
+    const options = { context: this.state.exportContext };
+    switch (this.state.exportFormat) {
+      case 'merged':
+        return Exporter.toMergedText(this.state.diffResult, this.state.decisions);
+      case 'word':
+        return Exporter.toWordDiff(this.state.diffResult, options);
+      case 'json': {
+        // The texts the result was computed from, not the panels as edited since
+        const { original, revised } = this.state.diffTexts;
+        return JSON.stringify(DiffFormat.serialize(this.state.diffResult, original, revised), null, 2);
+      }
+      default:
+        return Exporter.toUnifiedDiff(this.state.diffResult, { ...options, texts: this.state.diffTexts });
+    }
+  },
+
+  /**
+   * Refresh the export preview and format buttons
+   */
+  updateExportPreview() {
+    const preview = this.elements.modalBody.querySelector('.export-preview');
+    if (!preview) return;
+
+    this.elements.modalBody.querySelectorAll('[data-format]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.format === this.state.exportFormat);
+    });
+
+    const isText = this.hasTextExport();
+    this.elements.modalBody.querySelector('.export-context').disabled =
+      !isText || this.state.exportFormat === 'merged' || this.state.exportFormat === 'json';
+    this.elements.modalBody.querySelector('[data-action="copy"]').disabled = !isText;
+
+    preview.value = this.exportText();
+    if (!this.state.diffResult) {
+      preview.placeholder = 'Enter text in both panels to export a comparison';
+    } else if (this.state.exportFormat === 'docx') {
+      preview.placeholder = 'Download a Word document in which every change is a tracked revision ' +
+        'that can be accepted or rejected in Word.';
+    } else if (this.state.exportFormat === 'report') {
+      preview.placeholder = 'Download a single HTML page with the comparison as currently shown and its ' +
+        'statistics, to send on its own or print to PDF with change bars in the margin.';
+    } else {
+      preview.placeholder = 'No differences to export';
+    }
+    this.setExportStatus('');
+  },
+
+  /**
+   * Whether the selected export format is text that can be previewed and copied
+   * @returns {boolean} False for .docx and the HTML report
+   */
+  hasTextExport() {
+    return this.state.exportFormat !== 'docx' && this.state.exportFormat !== 'report';
+  },
+
+  /**
+   * Show a short status message in the status line of a modal panel
+   * @param {string} message - Status text
+   */
+  setExportStatus(message) {
+    const status = this.elements.modalBody.querySelector('.export-status');
+    if (status) status.textContent = message;
+  },
+
+  /**
+   * Copy the exported text to the clipboard
+   */
+  copyExport() {
+    const text = this.exportText();
+    if (!text) return;
+
+    navigator.clipboard.writeText(text)
+      .then(() => this.setExportStatus('Copied'))
+      .catch(() => this.setExportStatus('Copy failed'));
+  },
+
+  /**
+   * Download the export: .patch (unified diff), .diff (word diff), .docx, .html report,
+   * merged .txt or .json
+   */
+  downloadExport() {
+    if (this.state.exportFormat === 'report') {
+      this.downloadReport();
+      return;
+    }
+
+    if (this.state.exportFormat === 'docx') {
+      if (!this.state.diffResult) return;
+      this.downloadFile(
+        Exporter.toDocx(this.state.diffResult),
+        'comparison.docx',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      );
+      return;
+    }
+
+    const text = this.exportText();
+    if (!text) return;
+
+    if (this.state.exportFormat === 'merged') {
+      this.downloadFile(text, 'merged.txt', 'text/plain');
+      return;
+    }
+    if (this.state.exportFormat === 'json') {
+      this.downloadFile(text, 'comparison.json', 'application/json');
+      return;
+    }
+
+    const extension = this.state.exportFormat === 'word' ? 'diff' : 'patch';
+    this.downloadFile(text, `comparison.${extension}`, 'text/x-diff');
+  },
+
+  /**
+   * Download the comparison as a standalone HTML report, in the current display
+   * mode and with the current review decisions
+   */
+  async downloadReport() {
+    if (!this.state.diffResult) return;
+
+    let css;
+    try {
+      const stylesheets = await Promise.all(Report.stylesheets.map(async (file) => {
+        const response = await fetch(new URL(`../${file}`, import.meta.url));
+        if (!response.ok) throw new Error(`${file}: ${response.status}`);
+        return response.text();
+      }));
+      css = stylesheets.join('\n');
+    } catch (error) {
+      this.setExportStatus(`Could not load the report styles (${error.message})`);
+      return;
+    }
+
+    const html = Report.toHtml(
+      [{ diffResult: this.state.diffResult, decisions: this.state.decisions }],
+      { css, mode: this.state.displayMode }
+    );
+    this.downloadFile(html, 'comparison-report.html', 'text/html');
+    this.setExportStatus('Downloaded');
+  },
+
+  /**
+   * Save data as a file through a temporary download link
+   * @param {(string|Uint8Array)} data - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   */
+  downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Build the share panel in the modal: a link that carries both texts,
+   * the options and the display mode in its URL fragment
+   */
+  async renderSharePanel() {
+    const controls = document.createElement('div');
+    controls.className = 'comparison-options';
+    controls.innerHTML = `
+      <div class="options-group">
+        <button type="button" class="option-btn" data-action="copy" disabled>Copy link</button>
+      </div>
+      <span class="export-status"></span>
+    `;
+
+    const info = document.createElement('div');
+    info.className = 'share-info';
+
+    const link = document.createElement('textarea');
+    link.className = 'text-input share-link';
+    link.readOnly = true;
+    link.spellcheck = false;
+
+    const copy = controls.querySelector('[data-action="copy"]');
+    copy.addEventListener('click', () => {
+      navigator.clipboard.writeText(link.value)
+        .then(() => this.setExportStatus('Copied'))
+        .catch(() => this.setExportStatus('Copy failed'));
+    });
+
+    this.elements.modalBody.appendChild(controls);
+    this.elements.modalBody.appendChild(info);
+    this.elements.modalBody.appendChild(link);
+
+    const originalText = this.elements.originalText.value;
+    const revisedText = this.elements.revisedText.value;
+    if (!originalText.trim() && !revisedText.trim()) {
+      info.textContent = 'Enter text in both panels to share a comparison';
+      return;
+    }
+    if (!ShareLink.supported()) {
+      info.textContent = 'This browser cannot compress share links';
+      return;
+    }
+
+    info.textContent = 'Creating link…';
+    let url;
+    try {
+      url = await ShareLink.createUrl({
+        originalText,
+        revisedText,
+        comparisonOptions: this.state.comparisonOptions,
+        displayMode: this.state.displayMode
+      }, window.location.href);
+    } catch (error) {
+      info.textContent = `Could not create the link: ${error.message}`;
+      return;
+    }
+
+    // The panel was closed or reopened meanwhile
+    if (!link.isConnected) return;
+
+    const length = url.length.toLocaleString();
+    if (url.length > ShareLink.maxLength) {
+      info.textContent = `These texts are too large to share as a link (${length} characters). ` +
+        'Save a session or export the comparison instead.';
+      info.classList.add('share-warning');
+      return;
+    }
+
+    link.value = url;
+    copy.disabled = false;
+    if (url.length > ShareLink.warnLength) {
+      info.textContent = `This link is very long (${length} characters). Some mail and chat apps cut long links short, ` +
+        'so check that it opens before sending it, or save a session or export the comparison instead.';
+      info.classList.add('share-warning');
+    } else {
+      info.textContent = `Anyone with this link sees both texts. They are compressed into the link (${length} characters) ` +
+        'and are not uploaded anywhere.';
+    }
+  },
+
+  /**
+   * Open the comparison shared in the URL fragment
+   * Texts already in the editors (on startup, the autosaved session) are only
+   * replaced once confirmed. The fragment is removed afterwards, so reloading
+   * keeps later edits.
+   * @param {boolean} [startup=false] - Whether the page is loading; restores the autosave first
+   */
+  async openShareLink(startup = false) {
+    const encoded = ShareLink.parse(window.location.hash);
+    if (!encoded) return;
+
+    if (startup) await this.restoreAutosave();
+
+    let shared;
+    try {
+      if (!ShareLink.supported()) throw new Error('This browser cannot open share links');
+      shared = await ShareLink.decode(encoded);
+    } catch (error) {
+      this.clearShareLink();
+      window.alert(`Could not open the shared comparison: ${error.message}`);
+      return;
+    }
+
+    this.clearShareLink();
+
+    const current = this.elements.originalText.value || this.elements.revisedText.value;
+    const unchanged = this.elements.originalText.value === shared.originalText &&
+      this.elements.revisedText.value === shared.revisedText;
+    if (current && !unchanged && !window.confirm('Replace the current texts with the shared comparison?')) return;
+
+    this.elements.originalText.value = shared.originalText;
+    this.elements.revisedText.value = shared.revisedText;
+    this.restoreComparison(shared, {});
+  },
+
+  /**
+   * Remove a share link from the address bar without adding a history entry
+   */
+  clearShareLink() {
+    try {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    } catch (error) {
+      // Some browsers refuse history updates on file:// pages; the fragment then stays
+    }
+  },
+
+  /**
+   * Snapshot of the working session: texts, display mode, options and review decisions
+   * @returns {Object} Snapshot for SessionStore
+   */
+  snapshot() {
+    return {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      originalText: this.elements.originalText.value,
+      revisedText: this.elements.revisedText.value,
+      displayMode: this.state.displayMode,
+      comparisonOptions: { ...this.state.comparisonOptions },
+      // Decisions still waiting for their comparison count as the current ones
+      decisions: { ...(this.state.restoredDecisions || this.state.decisions) },
+      versions: this.state.versions.map(version => ({ ...version }))
+    };
+  },
+
+  /**
+   * Restore a saved session and compare it; its review decisions are applied
+   * to the comparison result
+   * @param {Object} snapshot - Snapshot from SessionStore
+   */
+  applySnapshot(snapshot) {
+    this.elements.originalText.value = snapshot.originalText || '';
+    this.elements.revisedText.value = snapshot.revisedText || '';
+    this.state.versions = Array.isArray(snapshot.versions) ? snapshot.versions.map(version => ({ ...version })) : [];
+    this.state.versionPair = { from: 0, to: Math.max(0, this.state.versions.length - 1) };
+    this.state.history = null;
+    this.restoreComparison(snapshot, snapshot.decisions || {});
+  },
+
+  /**
+   * Show a comparison exported as JSON (see DiffFormat) without comparing again:
+   * the texts are restored and the stored result is displayed as it was
+   * @param {Object} data - Parsed diff document
+   * @throws {Error} When the document is not a valid diff file
+   */
+  openDiffDocument(data) {
+    const diffResult = DiffFormat.deserialize(data);
+    const texts = data.texts || Exporter.documents(diffResult);
+
+    this.cancelComparison();
+    if (this.state.debounceTimer) clearTimeout(this.state.debounceTimer);
+    // The stored result replaces any comparison a running job would resume
+    if (this.state.pendingJob) this.state.pendingJob.resumeComparison = false;
+
+    this.elements.originalText.value = texts.original;
+    this.elements.revisedText.value = texts.revised;
+    this.restoreOptions(diffResult.options);
+    this.updateWordCounts();
+    this.showComparisonResult(diffResult, texts);
+    this.scheduleAutosave();
+  },
+
+  /**
+   * Restore saved comparison options; options the app does not offer and
+   * values that are not allowed (see DiffEngine.isValidOption) are ignored
+   * @param {Object} [options] - Saved comparison options
+   */
+  restoreOptions(options) {
+    for (const option of Object.keys(this.state.comparisonOptions)) {
+      if (options && Object.hasOwn(options, option) && DiffEngine.isValidOption(option, options[option])) {
+        this.state.comparisonOptions[option] = options[option];
+      }
+    }
+    this.syncOptionButtons();
+  },
+
+  /**
+   * Restore the options and display mode of a saved or shared comparison,
+   * whose texts are already in place, and compare
+   * @param {{comparisonOptions?: Object, displayMode?: string}} saved - Saved comparison
+   * @param {Object} decisions - Review decisions to apply to the result
+   */
+  restoreComparison(saved, decisions) {
+    this.restoreOptions(saved.comparisonOptions);
+
+    if (this.state.debounceTimer) clearTimeout(this.state.debounceTimer);
+    this.updateWordCounts();
+    this.state.restoredDecisions = decisions;
+    this.setDisplayMode(['visible', 'hidden', 'split', 'result'].includes(saved.displayMode) ? saved.displayMode : 'visible');
+    this.runComparison();
+  },
+
+  /**
+   * Autosave the working session once changes have settled
+   */
+  scheduleAutosave() {
+    if (this.state.autosaveTimer) clearTimeout(this.state.autosaveTimer);
+    this.state.autosaveTimer = setTimeout(() => this.autosave(), this.state.autosaveDelay);
+  },
+
+  /**
+   * Autosave the working session now
+   * A failure (storage full or blocked) shows in the comparison header until an autosave succeeds.
+   */
+  autosave() {
+    if (this.state.autosaveTimer) clearTimeout(this.state.autosaveTimer);
+    this.state.autosaveTimer = null;
+
+    SessionStore.saveAutosave(this.snapshot())
+      .then(() => this.setNotice('autosave', null))
+      .catch(error => this.setNotice('autosave', `Autosave unavailable: ${error.message}`));
+  },
+
+  /**
+   * Restore the autosaved session on startup
+   */
+  async restoreAutosave() {
+    try {
+      const snapshot = await SessionStore.loadAutosave();
+
+      // Text typed (or restored by the browser) meanwhile wins over the autosave
+      if (snapshot && !this.elements.originalText.value && !this.elements.revisedText.value) {
+        this.applySnapshot(snapshot);
+      }
+    } catch (error) {
+      this.setNotice('autosave', `Could not restore the autosave: ${error.message}`);
+    }
+  },
+
+  /**
+   * Build the sessions panel in the modal: save the working session under a
+   * name, and restore or delete saved sessions
+   */
+  renderSessionsPanel() {
+    const controls = document.createElement('div');
+    controls.className = 'comparison-options';
+    controls.innerHTML = `
+      <span class="options-label">Name</span>
+      <input type="text" class="session-name-input" maxlength="100" placeholder="Session name">
+      <div class="options-group">
+        <button type="button" class="option-btn" data-action="save">Save</button>
+      </div>
+      <span class="export-status"></span>
+    `;
+
+    const list = document.createElement('div');
+    list.className = 'session-list';
+
+    const nameInput = controls.querySelector('.session-name-input');
+    const save = () => this.saveSession(nameInput.value.trim());
+    controls.querySelector('[data-action="save"]').addEventListener('click', save);
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') save();
+    });
+
+    this.elements.modalBody.appendChild(controls);
+    this.elements.modalBody.appendChild(list);
+    this.updateSessionList();
+  },
+
+  /**
+   * Refresh the list of saved sessions in the sessions panel
+   */
+  async updateSessionList() {
+    const list = this.elements.modalBody.querySelector('.session-list');
+    if (!list) return;
+
+    let sessions;
+    try {
+      sessions = await SessionStore.listSessions();
+    } catch (error) {
+      this.setExportStatus(`Could not read sessions: ${error.message}`);
+      return;
+    }
+
+    list.innerHTML = Renderer.renderSessionList(sessions);
+    list.querySelectorAll('[data-session]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const session = sessions[Number(e.currentTarget.dataset.session)];
+        if (e.currentTarget.dataset.sessionAction === 'restore') {
+          this.restoreSession(session);
+        } else {
+          this.deleteSession(session);
+        }
+      });
+    });
+  },
+
+  /**
+   * Save the working session under a name, replacing a session of the same name
+   * @param {string} name - Session name
+   */
+  async saveSession(name) {
+    if (!name) {
+      this.setExportStatus('Enter a name for the session');
+      return;
+    }
+
+    try {
+      const existing = await SessionStore.loadSession(name);
+      if (existing && !window.confirm(`Replace the saved session "${name}"?`)) return;
+
+      await SessionStore.saveSession(name, this.snapshot());
+      this.setExportStatus(`Saved "${name}"`);
+      this.updateSessionList();
+    } catch (error) {
+      this.setExportStatus(`Save failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Restore a saved session, replacing the working texts
+   * @param {Object} session - Session from SessionStore
+   */
+  restoreSession(session) {
+    const current = this.elements.originalText.value || this.elements.revisedText.value;
+    const unchanged = this.elements.originalText.value === session.originalText &&
+      this.elements.revisedText.value === session.revisedText;
+    if (current && !unchanged && !window.confirm(`Replace the current texts with the session "${session.name}"?`)) return;
+
+    this.applySnapshot(session);
+    this.closeModal();
+  },
+
+  /**
+   * Delete a saved session
+   * @param {Object} session - Session from SessionStore
+   */
+  async deleteSession(session) {
+    if (!window.confirm(`Delete the saved session "${session.name}"?`)) return;
+
+    try {
+      await SessionStore.deleteSession(session.name);
+      this.setExportStatus(`Deleted "${session.name}"`);
+      this.updateSessionList();
+    } catch (error) {
+      this.setExportStatus(`Delete failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Build the versions panel in the modal: the version list, comparison of
+   * any two versions and the cumulative diff of the whole chain
+   */
+  renderVersionsPanel() {
+    const controls = document.createElement('div');
+    controls.className = 'comparison-options';
+    controls.innerHTML = `
+      <span class="options-label">Add</span>
+      <div class="options-group">
+        <button type="button" class="option-btn" data-version-add="original">Original text</button>
+        <button type="button" class="option-btn" data-version-add="revised">Revised text</button>
+        <button type="button" class="option-btn" data-version-add="file">File…</button>
+      </div>
+      <div class="options-group">
+        <button type="button" class="option-btn" data-action="compare">Compare from → to</button>
+        <button type="button" class="option-btn" data-action="cumulative">Cumulative diff</button>
+      </div>
+      <span class="export-status"></span>
+    `;
+
+    const list = document.createElement('div');
+    list.className = 'version-list';
+
+    const output = document.createElement('div');
+    output.className = 'comparison-output diff-visible history-output';
+
+    controls.querySelectorAll('[data-version-add]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const source = e.currentTarget.dataset.versionAdd;
+        if (source === 'file') {
+          this.chooseFile('version');
+        } else {
+          const textarea = source === 'original' ? this.elements.originalText : this.elements.revisedText;
+          this.addVersion(`v${this.state.versions.length + 1}`, textarea.value);
+        }
+      });
+    });
+    controls.querySelector('[data-action="compare"]').addEventListener('click', () => this.compareVersions());
+    controls.querySelector('[data-action="cumulative"]').addEventListener('click', () => this.runHistory());
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-version-action]');
+      if (button) this.versionAction(Number(button.dataset.version), button.dataset.versionAction);
+    });
+    list.addEventListener('change', (e) => {
+      if (!e.target.matches('.version-name-input')) return;
+      const version = this.state.versions[Number(e.target.dataset.version)];
+      version.name = e.target.value.trim() || version.name;
+      this.updateVersionList();
+      this.scheduleAutosave();
+    });
+
+    this.elements.modalBody.appendChild(controls);
+    this.elements.modalBody.appendChild(list);
+    this.elements.modalBody.appendChild(output);
+    this.updateVersionList();
+  },
+
+  /**
+   * Refresh the version list, the versions panel buttons and the cumulative diff
+   */
+  updateVersionList() {
+    const list = this.elements.modalBody.querySelector('.version-list');
+    if (!list) return;
+
+    const { versions, versionPair, history } = this.state;
+    list.innerHTML = Renderer.renderVersionList(versions, versionPair.from, versionPair.to);
+
+    this.elements.modalBody.querySelector('[data-action="compare"]').disabled =
+      versions.length < 2 || versionPair.from === versionPair.to;
+    this.elements.modalBody.querySelector('[data-action="cumulative"]').disabled = versions.length < 2;
+
+    const output = this.elements.modalBody.querySelector('.history-output');
+    if (history) {
+      output.innerHTML = Renderer.renderHistory(history, versions.map(version => version.name));
+    } else {
+      output.innerHTML = versions.length < 2
+        ? '<div class="no-changes">Add two or more versions, oldest first, for a cumulative diff</div>'
+        : '<div class="no-changes">Choose Cumulative diff to see each change attributed to its version</div>';
+    }
+  },
+
+  /**
+   * Append a version to the chain
+   * @param {string} name - Version name
+   * @param {string} text - Version text
+   */
+  addVersion(name, text) {
+    this.state.versions.push({ name, text });
+    this.state.versionPair = { from: this.state.versionPair.from, to: this.state.versions.length - 1 };
+    this.state.history = null;
+    this.updateVersionList();
+    this.scheduleAutosave();
+  },
+
+  /**
+   * Apply a version list action
+   * @param {number} index - Version index
+   * @param {string} action - 'from', 'to', 'up', 'down' or 'remove'
+   */
+  versionAction(index, action) {
+    const versions = this.state.versions;
+    const pair = this.state.versionPair;
+
+    if (action === 'from' || action === 'to') {
+      pair[action] = index;
+      this.updateVersionList();
+      return;
+    }
+
+    // The from/to selection stays on the same versions
+    if (action === 'remove') {
+      versions.splice(index, 1);
+      for (const end of ['from', 'to']) {
+        if (pair[end] > index) pair[end]--;
+        pair[end] = Math.min(pair[end], Math.max(0, versions.length - 1));
+      }
+    } else {
+      const other = action === 'up' ? index - 1 : index + 1;
+      if (other < 0 || other >= versions.length) return;
+      [versions[index], versions[other]] = [versions[other], versions[index]];
+      for (const end of ['from', 'to']) {
+        if (pair[end] === index) pair[end] = other;
+        else if (pair[end] === other) pair[end] = index;
+      }
+    }
+
+    // The chain changed, so the cumulative diff is out of date
+    this.state.history = null;
+    this.updateVersionList();
+    this.scheduleAutosave();
+  },
+
+  /**
+   * Load the selected pair of versions into the original and revised texts
+   */
+  compareVersions() {
+    const { versions, versionPair } = this.state;
+    if (!versions[versionPair.from] || !versions[versionPair.to]) return;
+
+    this.elements.originalText.value = versions[versionPair.from].text;
+    this.elements.revisedText.value = versions[versionPair.to].text;
+    this.elements.revisedText.dispatchEvent(new Event('input'));
+    this.closeModal();
+  },
+
+  /**
+   * Compute the cumulative diff of the version chain
+   * A comparison it interrupts is run again afterwards.
+   */
+  runHistory() {
+    const versions = this.state.versions.map(version => version.text);
+    if (versions.length < 2) return;
+
+    const resumeComparison = this.interruptComparison();
+
+    const output = this.elements.modalBody.querySelector('.history-output');
+    if (output) output.innerHTML = '<div class="no-changes">Comparing versions…</div>';
+
+    if (!this.startWorkerJob({ kind: 'history', texts: { versions }, resumeComparison })) {
+      this.showHistoryResult(VersionHistory.cumulative(versions, this.state.comparisonOptions));
+    }
+  },
+
+  /**
+   * Show a finished cumulative diff in the versions panel
+   * @param {Object} history - Result of VersionHistory.cumulative
+   */
+  showHistoryResult(history) {
+    this.state.history = history;
+    this.updateVersionList();
+  },
+
+  /**
+   * Build the merge panel in the modal: base and the two revisions,
+   * and the merged document with its conflicts
+   * The base and revision A start out as the original and revised texts.
+   */
+  renderMergePanel() {
+    const texts = this.state.mergeTexts;
+    if (!texts.base && !texts.a && !texts.b) {
+      texts.base = this.elements.originalText.value;
+      texts.a = this.elements.revisedText.value;
+    }
+
+    const inputs = document.createElement('div');
+    inputs.className = 'merge-inputs';
+    inputs.innerHTML = [['base', 'Base'], ['a', 'Revision A'], ['b', 'Revision B']].map(([key, label]) => `
+      <label class="merge-input">
+        <span class="options-label">${label}</span>
+        <textarea class="text-input" data-merge-text="${key}" spellcheck="false"
+          placeholder="Paste the ${key === 'base' ? 'common ancestor' : `text of revision ${key.toUpperCase()}`} here..."></textarea>
+      </label>
+    `).join('');
+
+    const controls = document.createElement('div');
+    controls.className = 'comparison-options';
+    controls.innerHTML = `
+      <div class="options-group">
+        <button type="button" class="option-btn" data-action="merge">Merge</button>
+      </div>
+      <div class="options-group">
+        <button type="button" class="option-btn" data-action="copy">Copy merged</button>
+        <button type="button" class="option-btn" data-action="download">Download</button>
+      </div>
+      <span class="export-status"></span>
+    `;
+
+    const output = document.createElement('div');
+    output.className = 'comparison-output diff-visible merge-output';
+
+    inputs.querySelectorAll('[data-merge-text]').forEach(textarea => {
+      textarea.value = texts[textarea.dataset.mergeText];
+      textarea.addEventListener('input', () => {
+        texts[textarea.dataset.mergeText] = textarea.value;
+        // The merge is out of date until it is run again
+        this.state.mergeResult = null;
+        this.updateMergeOutput();
+      });
+    });
+    controls.querySelector('[data-action="merge"]').addEventListener('click', () => this.runMerge());
+    controls.querySelector('[data-action="copy"]').addEventListener('click', () => this.copyMerge());
+    controls.querySelector('[data-action="download"]').addEventListener('click', () => this.downloadMerge());
+
+    output.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-resolve]');
+      if (button) this.resolveConflict(Number(button.closest('[data-conflict]').dataset.conflict), button.dataset.resolve);
+    });
+
+    this.elements.modalBody.appendChild(inputs);
+    this.elements.modalBody.appendChild(controls);
+    this.elements.modalBody.appendChild(output);
+    this.updateMergeOutput();
+  },
+
+  /**
+   * Refresh the merged document and the merge panel buttons
+   */
+  updateMergeOutput() {
+    const output = this.elements.modalBody.querySelector('.merge-output');
+    if (!output) return;
+
+    const { mergeTexts, mergeResult, mergeResolutions } = this.state;
+    const ready = Boolean(mergeTexts.base.trim() && mergeTexts.a.trim() && mergeTexts.b.trim());
+
+    this.elements.modalBody.querySelector('[data-action="merge"]').disabled = !ready;
+    this.elements.modalBody.querySelector('[data-action="copy"]').disabled = !mergeResult;
+    this.elements.modalBody.querySelector('[data-action="download"]').disabled = !mergeResult;
+
+    if (mergeResult) {
+      output.innerHTML = Renderer.renderMerge(mergeResult, mergeResolutions);
+    } else {
+      output.innerHTML = ready
+        ? '<div class="no-changes">Choose Merge to combine both revisions of the base</div>'
+        : '<div class="no-changes">Enter the base text and both revisions to merge them</div>';
+    }
+  },
+
+  /**
+   * Merge both revisions of the base text
+   * A comparison it interrupts is run again afterwards.
+   */
+  runMerge() {
+    const { base, a, b } = this.state.mergeTexts;
+    if (!base.trim() || !a.trim() || !b.trim()) return;
+
+    const resumeComparison = this.interruptComparison();
+
+    const output = this.elements.modalBody.querySelector('.merge-output');
+    if (output) output.innerHTML = '<div class="no-changes">Merging…</div>';
+
+    if (!this.startWorkerJob({ kind: 'merge', texts: { base, a, b }, resumeComparison })) {
+      this.showMergeResult(Merge.merge(base, a, b, this.state.comparisonOptions));
+    }
+  },
+
+  /**
+   * Show a finished merge in the merge panel
+   * @param {Object} result - Result of Merge.merge
+   */
+  showMergeResult(result) {
+    this.state.mergeResult = result;
+    this.state.mergeResolutions = {};
+    this.updateMergeOutput();
+    this.setExportStatus('');
+  },
+
+  /**
+   * Resolve a conflict; choosing the current resolution again undoes it
+   * @param {number} id - Conflict id
+   * @param {string} resolution - 'a', 'b', 'both' or 'base'
+   */
+  resolveConflict(id, resolution) {
+    const resolutions = this.state.mergeResolutions;
+    if (resolutions[id] === resolution) {
+      delete resolutions[id];
+    } else {
+      resolutions[id] = resolution;
+    }
+    this.updateMergeOutput();
+  },
+
+  /**
+   * Merged text, with conflict markers around unresolved conflicts
+   * @returns {string} Merged text, or an empty string before merging
+   */
+  mergeText() {
+    const { mergeResult, mergeResolutions } = this.state;
+    return mergeResult ? Merge.toText(mergeResult, mergeResolutions) : '';
+  },
+
+  /**
+   * Copy the merged text to the clipboard
+   */
+  copyMerge() {
+    const text = this.mergeText();
+    if (!text) return;
+
+    navigator.clipboard.writeText(text)
+      .then(() => this.setExportStatus(this.mergeStatus('Copied')))
+      .catch(() => this.setExportStatus('Copy failed'));
+  },
+
+  /**
+   * Download the merged text
+   */
+  downloadMerge() {
+    const text = this.mergeText();
+    if (!text) return;
+
+    this.downloadFile(text, 'merged.txt', 'text/plain');
+    this.setExportStatus(this.mergeStatus('Downloaded'));
+  },
+
+  /**
+   * Status message after copying or downloading the merged text
+   * @param {string} action - What was done, e.g. 'Copied'
+   * @returns {string} Message, noting unresolved conflicts
+   */
+  mergeStatus(action) {
+    const { mergeResult, mergeResolutions } = this.state;
+    const unresolved = mergeResult.conflicts - Object.keys(mergeResolutions).length;
+    return unresolved > 0
+      ? `${action} with conflict markers for ${unresolved} unresolved conflict${unresolved !== 1 ? 's' : ''}`
+      : action;
+  },
+
   /**
    * Close maximize modal
    */
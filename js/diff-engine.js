@@ -2,287 +2,876 @@
  * Diff Engine Module
  * Implements Myers diff algorithm with paragraph alignment and move detection
  */
+
+import { Tokenizer } from './tokenizer.js';
+import { RichText } from './rich-text.js';
+
 const DiffEngine = {
+  /**
+   * Default comparison options
+   * granularity: 'word' (whole tokens), 'character' (every character),
+   * 'hybrid' (words, with modified word pairs refined character by character)
+   * or 'sentence' (whole sentences)
+   * ignoreCase / ignorePunctuation / ignoreWhitespace: treat such differences as equal
+   * unicodeNormalization: 'none', 'NFC' or 'NFKC' applied before comparing
+   * foldQuotes: compare curly quotes and dashes as their plain ASCII forms
+   * markdown: split into Markdown blocks, align only blocks of the same type
+   * and diff code blocks and tables line by line
+   * richText: read inline Markdown formatting (see RichText) and compare it
+   * separately: words that only changed formatting stay equal but are flagged
+   * moveThreshold: minimum paragraph similarity (0-1) for an edited paragraph
+   * to be detected as moved
+   * diffTimeout: time budget in ms for word diffs (0 = unlimited)
+   * maxEditDistance: edit distance budget per diffed range (0 = unlimited)
+   * When a budget runs out the result is coarser but valid and marked truncated.
+   */
+  defaultOptions: {
+    granularity: 'word',
+    ignoreCase: false,
+    ignorePunctuation: false,
+    ignoreWhitespace: true,
+    unicodeNormalization: 'none',
+    foldQuotes: false,
+    markdown: false,
+    richText: false,
+    moveThreshold: 0.5,
+    diffTimeout: 2000,
+    maxEditDistance: 0
+  },
+
+  /**
+   * Allowed values of the comparison options that are not booleans:
+   * a list of choices or a test
+   */
+  optionValues: {
+    granularity: ['word', 'character', 'hybrid', 'sentence'],
+    unicodeNormalization: ['none', 'NFC', 'NFKC'],
+    moveThreshold: value => typeof value === 'number' && value >= 0 && value <= 1,
+    diffTimeout: value => typeof value === 'number' && value >= 0,
+    maxEditDistance: value => Number.isInteger(value) && value >= 0
+  },
+
+  /**
+   * Check a comparison option, e.g. one read from a file or a link
+   * @param {string} option - Option name
+   * @param {*} value - Option value
+   * @returns {boolean} True for a known option with an allowed value
+   */
+  isValidOption(option, value) {
+    if (!Object.hasOwn(this.defaultOptions, option)) return false;
+
+    const allowed = this.optionValues[option];
+    if (Array.isArray(allowed)) return allowed.includes(value);
+    return allowed ? allowed(value) : typeof value === 'boolean';
+  },
+
+  /**
+   * Minimum character similarity for a deleted/inserted word pair
+   * to be shown as a single modified word in hybrid mode
+   */
+  wordPairThreshold: 0.5,
+
+  /**
+   * Minimum similarity for two paragraphs to be aligned as 'modified'
+   */
+  pairingThreshold: 0.3,
+
+  /**
+   * Largest paragraph score table (original x revised) aligned in one pass;
+   * bigger ranges are split on identical paragraphs first
+   */
+  alignmentCellLimit: 250000,
+
+  /**
+   * Per-paragraph results kept between compare() calls, so live editing only
+   * re-fingerprints and re-diffs the paragraphs that changed.
+   * 'current' collects what the running comparison uses; when it finishes it
+   * becomes 'previous', dropping entries for paragraphs that no longer exist.
+   * Everything is dropped when the options change.
+   * Cached operation lists are shared between results and must not be mutated.
+   */
+  cache: {
+    previous: { fingerprints: new Map(), wordSets: new Map(), operations: new Map() },
+    current: null,
+    optionsKey: null
+  },
+
   /**
    * Myers diff algorithm - finds shortest edit script
+   * Tokens are compared by their normalized key (see tokenize()); equal
+   * operations carry both the original (word) and revised (newWord) token.
+   * Linear-space divide and conquer: each range is split at the middle
+   * snake and both halves are diffed recursively. When the budget runs out
+   * a range is reported as a whole deletion plus insertion (still a valid
+   * diff) and the budget is flagged as truncated.
    * @param {Array} oldTokens - Original word tokens
    * @param {Array} newTokens - Revised word tokens
+   * @param {?Object} [budget] - Work budget from createBudget()
    * @returns {Array} Array of diff operations
    */
-  myersDiff(oldTokens, newTokens) {
-    const N = oldTokens.length;
-    const M = newTokens.length;
-    const MAX = N + M;
+  myersDiff(oldTokens, newTokens, budget = null) {
+    const operations = [];
+    this.diffRange(oldTokens, 0, oldTokens.length, newTokens, 0, newTokens.length, operations, budget);
+    return operations;
+  },
+
+  /**
+   * Diff oldTokens[oldStart..oldEnd) against newTokens[newStart..newEnd),
+   * appending operations in order
+   * @param {Array} oldTokens - Original tokens
+   * @param {number} oldStart - Range start in oldTokens
+   * @param {number} oldEnd - Range end in oldTokens (exclusive)
+   * @param {Array} newTokens - Revised tokens
+   * @param {number} newStart - Range start in newTokens
+   * @param {number} newEnd - Range end in newTokens (exclusive)
+   * @param {Array} operations - Output operations
+   * @param {?Object} budget - Work budget
+   */
+  diffRange(oldTokens, oldStart, oldEnd, newTokens, newStart, newEnd, operations, budget) {
+    // Common prefix
+    while (oldStart < oldEnd && newStart < newEnd &&
+           oldTokens[oldStart].key === newTokens[newStart].key) {
+      operations.push({ type: 'equal', word: oldTokens[oldStart], newWord: newTokens[newStart] });
+      oldStart++;
+      newStart++;
+    }
+
+    // Common suffix (emitted after the middle)
+    let suffix = 0;
+    while (oldEnd - suffix > oldStart && newEnd - suffix > newStart &&
+           oldTokens[oldEnd - suffix - 1].key === newTokens[newEnd - suffix - 1].key) {
+      suffix++;
+    }
+    oldEnd -= suffix;
+    newEnd -= suffix;
+
+    if (oldStart < oldEnd && newStart < newEnd) {
+      const split = this.middleSnake(oldTokens, oldStart, oldEnd, newTokens, newStart, newEnd, budget);
+
+      if (split) {
+        this.diffRange(oldTokens, oldStart, split.x, newTokens, newStart, split.y, operations, budget);
+        this.diffRange(oldTokens, split.x, oldEnd, newTokens, split.y, newEnd, operations, budget);
+      } else {
+        budget.truncated = true;
+        this.pushRange(operations, 'delete', oldTokens, oldStart, oldEnd);
+        this.pushRange(operations, 'insert', newTokens, newStart, newEnd);
+      }
+    } else {
+      this.pushRange(operations, 'delete', oldTokens, oldStart, oldEnd);
+      this.pushRange(operations, 'insert', newTokens, newStart, newEnd);
+    }
+
+    for (let i = 0; i < suffix; i++) {
+      operations.push({ type: 'equal', word: oldTokens[oldEnd + i], newWord: newTokens[newEnd + i] });
+    }
+  },
+
+  /**
+   * Find the split point of the middle snake of two non-empty ranges
+   * Forward and reverse searches run until their paths overlap.
+   * @param {Array} oldTokens - Original tokens
+   * @param {number} oldStart - Range start in oldTokens
+   * @param {number} oldEnd - Range end in oldTokens (exclusive)
+   * @param {Array} newTokens - Revised tokens
+   * @param {number} newStart - Range start in newTokens
+   * @param {number} newEnd - Range end in newTokens (exclusive)
+   * @param {?Object} budget - Work budget
+   * @returns {?{x: number, y: number}} Split point, or null when the budget ran out
+   */
+  middleSnake(oldTokens, oldStart, oldEnd, newTokens, newStart, newEnd, budget) {
+    const N = oldEnd - oldStart;
+    const M = newEnd - newStart;
+    const maxD = Math.ceil((N + M) / 2);
+    const offset = maxD;
+    const size = 2 * maxD + 2;
+    const forward = new Int32Array(size).fill(-1);
+    const reverse = new Int32Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    reverse[offset + 1] = 0;
 
-    if (MAX === 0) return [];
+    const delta = N - M;
+    const odd = delta % 2 !== 0;
 
-    const V = new Map();
-    V.set(1, 0);
-    const trace = [];
+    // Trim diagonals that ran off the edge of the grid
+    let kfStart = 0, kfEnd = 0, krStart = 0, krEnd = 0;
 
-    // Forward phase
-    outer:
-    for (let D = 0; D <= MAX; D++) {
-      trace.push(new Map(V));
+    for (let d = 0; d < maxD; d++) {
+      if (this.budgetExceeded(budget, d)) return null;
 
-      for (let k = -D; k <= D; k += 2) {
-        let x;
+      // Forward path
+      for (let k = -d + kfStart; k <= d - kfEnd; k += 2) {
+        const kOffset = offset + k;
+        let x = (k === -d || (k !== d && forward[kOffset - 1] < forward[kOffset + 1]))
+          ? forward[kOffset + 1]
+          : forward[kOffset - 1] + 1;
+        let y = x - k;
 
-        if (k === -D || (k !== D && (V.get(k - 1) || 0) < (V.get(k + 1) || 0))) {
-          x = V.get(k + 1) || 0;
-        } else {
-          x = (V.get(k - 1) || 0) + 1;
+        while (x < N && y < M && oldTokens[oldStart + x].key === newTokens[newStart + y].key) {
+          x++;
+          y++;
         }
+        forward[kOffset] = x;
 
+        if (x > N) {
+          kfEnd += 2;
+        } else if (y > M) {
+          kfStart += 2;
+        } else if (odd) {
+          const rOffset = offset + delta - k;
+          if (rOffset >= 0 && rOffset < size && reverse[rOffset] !== -1 && x >= N - reverse[rOffset]) {
+            return { x: oldStart + x, y: newStart + y };
+          }
+        }
+      }
+
+      // Reverse path (x and y count from the end of each range)
+      for (let k = -d + krStart; k <= d - krEnd; k += 2) {
+        const kOffset = offset + k;
+        let x = (k === -d || (k !== d && reverse[kOffset - 1] < reverse[kOffset + 1]))
+          ? reverse[kOffset + 1]
+          : reverse[kOffset - 1] + 1;
         let y = x - k;
 
-        while (x < N && y < M && oldTokens[x].text === newTokens[y].text) {
+        while (x < N && y < M &&
+               oldTokens[oldEnd - x - 1].key === newTokens[newEnd - y - 1].key) {
           x++;
           y++;
         }
+        reverse[kOffset] = x;
 
-        V.set(k, x);
-
-        if (x >= N && y >= M) {
-          break outer;
+        if (x > N) {
+          krEnd += 2;
+        } else if (y > M) {
+          krStart += 2;
+        } else if (!odd) {
+          const fOffset = offset + delta - k;
+          if (fOffset >= 0 && fOffset < size && forward[fOffset] !== -1) {
+            const fx = forward[fOffset];
+            const fy = fx - (fOffset - offset);
+            if (fx >= N - x) {
+              return { x: oldStart + fx, y: newStart + fy };
+            }
+          }
         }
       }
     }
 
-    return this.backtrack(trace, oldTokens, newTokens);
+    // No overlap found: treat the ranges as unrelated
+    return { x: oldEnd, y: newStart };
+  },
+
+  /**
+   * Append one operation per token in tokens[start..end)
+   * @param {Array} operations - Output operations
+   * @param {string} type - Operation type
+   * @param {Array} tokens - Tokens
+   * @param {number} start - Range start
+   * @param {number} end - Range end (exclusive)
+   */
+  pushRange(operations, type, tokens, start, end) {
+    for (let i = start; i < end; i++) {
+      operations.push({ type, word: tokens[i] });
+    }
+  },
+
+  /**
+   * Create a work budget for one comparison
+   * @param {Object} options - Comparison options
+   * @returns {{deadline: number, maxEditDistance: number, truncated: boolean}} Budget
+   */
+  createBudget(options) {
+    return {
+      deadline: options.diffTimeout > 0 ? Date.now() + options.diffTimeout : Infinity,
+      maxEditDistance: options.maxEditDistance > 0 ? options.maxEditDistance : Infinity,
+      truncated: false
+    };
+  },
+
+  /**
+   * Check whether a middle-snake search at edit distance d is over budget
+   * @param {?Object} budget - Work budget (null = unlimited)
+   * @param {number} d - Current edit distance
+   * @returns {boolean} True when the search should give up
+   */
+  budgetExceeded(budget, d) {
+    if (!budget) return false;
+    return d > budget.maxEditDistance || Date.now() > budget.deadline;
   },
 
   /**
-   * Backtrack through trace to build operations
-   * @param {Array} trace - Trace from forward phase
+   * Tokenize paragraph text for the chosen granularity
+   * Each token gets a comparison key normalized according to the options.
+   * @param {string} text - Paragraph text
+   * @param {Object} options - Comparison options
+   * @param {string} [blockType] - Markdown block type; code and tables are tokenized by line
+   * @returns {Array} Tokens
+   */
+  tokenize(text, options, blockType = 'paragraph') {
+    let tokens;
+    if (blockType === 'code' || blockType === 'table') {
+      tokens = Tokenizer.tokenizeLines(text);
+    } else if (options.richText) {
+      tokens = Tokenizer.tokenizeRich(text, options.granularity);
+    } else if (options.granularity === 'character') {
+      tokens = Tokenizer.tokenizeChars(text);
+    } else if (options.granularity === 'sentence') {
+      tokens = Tokenizer.tokenizeSentences(text);
+    } else {
+      tokens = Tokenizer.tokenizeWords(text);
+    }
+
+    for (const token of tokens) {
+      token.key = this.tokenKey(token, options);
+    }
+    return tokens;
+  },
+
+  /**
+   * Comparison key of a token
+   * Whitespace only matters when ignoreWhitespace is off: then a word's
+   * trailing whitespace is part of its key.
+   * @param {Object} token - Token from the Tokenizer
+   * @param {Object} options - Comparison options
+   * @returns {string} Key
+   */
+  tokenKey(token, options) {
+    if (/^\s+$/.test(token.text)) {
+      return options.ignoreWhitespace ? ' ' : token.text;
+    }
+
+    const key = Tokenizer.normalize(token.text, options);
+    return options.ignoreWhitespace ? key.replace(/\s+/g, ' ') : key + token.trailingSpace;
+  },
+
+  /**
+   * Diff two token lists, refining word pairs in hybrid mode and flagging
+   * formatting changes in rich-text mode
    * @param {Array} oldTokens - Original tokens
    * @param {Array} newTokens - Revised tokens
+   * @param {Object} options - Comparison options
+   * @param {?Object} [budget] - Work budget from createBudget()
    * @returns {Array} Diff operations
    */
-  backtrack(trace, oldTokens, newTokens) {
-    const operations = [];
-    let x = oldTokens.length;
-    let y = newTokens.length;
+  diffTokens(oldTokens, newTokens, options, budget = null) {
+    let operations = this.myersDiff(oldTokens, newTokens, budget);
 
-    for (let d = trace.length - 1; d >= 0; d--) {
-      const V = trace[d];
-      const k = x - y;
+    if (options.richText) operations = this.markFormatChanges(operations);
+    if (options.granularity === 'hybrid') return this.refineWordPairs(operations);
+    if (options.granularity === 'sentence') return this.groupChanges(operations);
+    return operations;
+  },
 
-      let prevK;
-      if (k === -d || (k !== d && (V.get(k - 1) || 0) < (V.get(k + 1) || 0))) {
-        prevK = k + 1;
-      } else {
-        prevK = k - 1;
+  /**
+   * Flag equal operations whose tokens differ in formatting
+   * Flagged operations get formatChanged: true; the text is unchanged.
+   * @param {Array} operations - Diff operations of rich-text tokens
+   * @returns {Array} Operations
+   */
+  markFormatChanges(operations) {
+    return operations.map(op =>
+      op.type === 'equal' && RichText.formatKey(op.word.format) !== RichText.formatKey((op.newWord || op.word).format)
+        ? { ...op, formatChanged: true }
+        : op
+    );
+  },
+
+  /**
+   * Reorder each run of changes so its deletions come before its insertions,
+   * showing a replaced passage as one deletion block and one insertion block
+   * @param {Array} operations - Diff operations
+   * @returns {Array} Reordered operations
+   */
+  groupChanges(operations) {
+    const grouped = [];
+    let inserts = [];
+
+    for (const op of operations) {
+      if (op.type === 'insert') {
+        inserts.push(op);
+        continue;
       }
+      if (op.type === 'equal' && inserts.length > 0) {
+        grouped.push(...inserts);
+        inserts = [];
+      }
+      grouped.push(op);
+    }
+    grouped.push(...inserts);
 
-      const prevX = V.get(prevK) || 0;
-      const prevY = prevX - prevK;
+    return grouped;
+  },
 
-      while (x > prevX && y > prevY) {
-        x--;
-        y--;
-        operations.unshift({
-          type: 'equal',
-          word: oldTokens[x]
-        });
+  /**
+   * Replace similar delete/insert word pairs with 'modify' operations
+   * carrying a character-level diff
+   * @param {Array} operations - Word-level diff operations
+   * @returns {Array} Refined operations
+   */
+  refineWordPairs(operations) {
+    const refined = [];
+    let i = 0;
+
+    while (i < operations.length) {
+      if (operations[i].type === 'equal') {
+        refined.push(operations[i++]);
+        continue;
       }
 
-      if (d > 0) {
-        if (x === prevX) {
-          y--;
-          operations.unshift({
-            type: 'insert',
-            word: newTokens[y]
-          });
-        } else {
-          x--;
-          operations.unshift({
-            type: 'delete',
-            word: oldTokens[x]
+      // Collect the run of changes between two equal words
+      const deletes = [];
+      const inserts = [];
+      while (i < operations.length && operations[i].type !== 'equal') {
+        (operations[i].type === 'delete' ? deletes : inserts).push(operations[i]);
+        i++;
+      }
+
+      // Pair each insert with the next similar unpaired delete, keeping order
+      let nextDelete = 0;
+      for (const ins of inserts) {
+        let paired = false;
+
+        for (let j = nextDelete; j < deletes.length; j++) {
+          const charDiff = this.diffChars(deletes[j].word.text, ins.word.text);
+          if (charDiff.similarity < this.wordPairThreshold) continue;
+
+          refined.push(...deletes.slice(nextDelete, j));
+          refined.push({
+            type: 'modify',
+            word: ins.word,
+            oldWord: deletes[j].word,
+            chars: charDiff.chars
           });
+          nextDelete = j + 1;
+          paired = true;
+          break;
         }
+
+        if (!paired) refined.push(ins);
       }
+      refined.push(...deletes.slice(nextDelete));
     }
 
-    return operations;
+    return refined;
   },
 
   /**
-   * Detect moved paragraphs by comparing fingerprints
+   * Character-level diff of two words
+   * @param {string} oldText - Original word
+   * @param {string} newText - Revised word
+   * @returns {{chars: Array<{type: string, text: string}>, similarity: number}}
+   *   Runs of equal/insert/delete characters and a 0-1 similarity ratio
+   */
+  diffChars(oldText, newText) {
+    const oldChars = Tokenizer.tokenizeChars(oldText);
+    const newChars = Tokenizer.tokenizeChars(newText);
+    oldChars.forEach(token => { token.key = token.text; });
+    newChars.forEach(token => { token.key = token.text; });
+    const chars = [];
+    let equalCount = 0;
+
+    for (const op of this.myersDiff(oldChars, newChars)) {
+      if (op.type === 'equal') equalCount++;
+
+      const last = chars[chars.length - 1];
+      if (last && last.type === op.type) {
+        last.text += op.word.text;
+      } else {
+        chars.push({ type: op.type, text: op.word.text });
+      }
+    }
+
+    const total = oldChars.length + newChars.length;
+    return {
+      chars,
+      similarity: total > 0 ? (2 * equalCount) / total : 1
+    };
+  },
+
+  /**
+   * Detect moved paragraphs by comparing fingerprints and similarity
+   * Paragraphs on the longest common subsequence of fingerprints are anchors
+   * that stayed in place; a paragraph only counts as moved when its match
+   * sits on the other side of an anchor. Exact matches are taken first,
+   * then the most similar remaining pairs (edited and moved).
    * @param {string[]} originalParas - Original paragraphs
    * @param {string[]} revisedParas - Revised paragraphs
+   * @param {Object} [options] - Comparison options (normalization and moveThreshold)
+   * @param {?{original: string[], revised: string[]}} [kinds] - Block types; paragraphs
+   *   of different types never match
    * @returns {Array} Array of move objects
    */
-  detectMovedParagraphs(originalParas, revisedParas) {
+  detectMovedParagraphs(originalParas, revisedParas, options = this.defaultOptions, kinds = null) {
     const originalFP = originalParas.map((p, i) => ({
       text: p,
-      fingerprint: Tokenizer.fingerprint(p),
+      fingerprint: this.fingerprint(p, options),
+      kind: kinds ? kinds.original[i] : null,
       index: i
     }));
 
     const revisedFP = revisedParas.map((p, i) => ({
       text: p,
-      fingerprint: Tokenizer.fingerprint(p),
+      fingerprint: this.fingerprint(p, options),
+      kind: kinds ? kinds.revised[i] : null,
       index: i
     }));
 
+    // Anchors: paragraphs that kept their relative order
+    const anchorOps = this.myersDiff(
+      originalFP.map(p => ({ key: `${p.kind}:${p.fingerprint}` })),
+      revisedFP.map(p => ({ key: `${p.kind}:${p.fingerprint}` }))
+    );
+
+    // Gap number = count of anchors before each paragraph
+    const originalGap = [];
+    const revisedGap = [];
+    const anchoredOriginal = new Set();
+    const anchoredRevised = new Set();
+    let origIdx = 0, revIdx = 0, gap = 0;
+
+    for (const op of anchorOps) {
+      if (op.type === 'equal') {
+        anchoredOriginal.add(origIdx++);
+        anchoredRevised.add(revIdx++);
+        gap++;
+      } else if (op.type === 'delete') {
+        originalGap[origIdx++] = gap;
+      } else {
+        revisedGap[revIdx++] = gap;
+      }
+    }
+
+    const candidatesOriginal = originalFP.filter(p => !anchoredOriginal.has(p.index));
+    const candidatesRevised = revisedFP.filter(p => !anchoredRevised.has(p.index));
+
     const moves = [];
     const matchedOriginal = new Set();
     const matchedRevised = new Set();
 
-    // Find exact matches at different positions
-    for (const orig of originalFP) {
-      for (const rev of revisedFP) {
+    const addMove = (orig, rev, similarity) => {
+      moves.push({
+        fromIndex: orig.index,
+        toIndex: rev.index,
+        fingerprint: orig.fingerprint,
+        text: orig.text,
+        similarity
+      });
+      matchedOriginal.add(orig.index);
+      matchedRevised.add(rev.index);
+    };
+
+    // Exact matches across an anchor
+    for (const orig of candidatesOriginal) {
+      for (const rev of candidatesRevised) {
         if (orig.fingerprint === rev.fingerprint &&
-            orig.index !== rev.index &&
+            orig.kind === rev.kind &&
+            originalGap[orig.index] !== revisedGap[rev.index] &&
             !matchedOriginal.has(orig.index) &&
             !matchedRevised.has(rev.index)) {
-          moves.push({
-            fromIndex: orig.index,
-            toIndex: rev.index,
-            fingerprint: orig.fingerprint,
-            text: orig.text
-          });
-          matchedOriginal.add(orig.index);
-          matchedRevised.add(rev.index);
+          addMove(orig, rev, 1);
         }
       }
     }
 
+    // Similar matches across an anchor, best pairs first
+    const fuzzy = [];
+    for (const orig of candidatesOriginal) {
+      if (matchedOriginal.has(orig.index)) continue;
+
+      for (const rev of candidatesRevised) {
+        if (matchedRevised.has(rev.index) ||
+            orig.kind !== rev.kind ||
+            originalGap[orig.index] === revisedGap[rev.index]) continue;
+
+        const similarity = this.setSimilarity(this.wordSet(orig.text, options), this.wordSet(rev.text, options));
+        if (similarity >= options.moveThreshold) {
+          fuzzy.push({ orig, rev, similarity });
+        }
+      }
+    }
+
+    fuzzy.sort((a, b) => b.similarity - a.similarity);
+    for (const { orig, rev, similarity } of fuzzy) {
+      if (!matchedOriginal.has(orig.index) && !matchedRevised.has(rev.index)) {
+        addMove(orig, rev, similarity);
+      }
+    }
+
     return moves;
   },
 
   /**
-   * Align paragraphs using LCS with move detection
+   * Align paragraphs globally, maximizing total similarity of paired paragraphs
+   * Moved paragraphs are left out of the alignment and placed at their revised position.
    * @param {string[]} originalParas - Original paragraphs
    * @param {string[]} revisedParas - Revised paragraphs
    * @param {Array} moves - Detected moves
+   * @param {Object} [options] - Comparison options (normalization)
+   * @param {?{original: string[], revised: string[]}} [kinds] - Block types; paragraphs
+   *   of different types are never paired
    * @returns {Array} Paragraph alignments
    */
-  alignParagraphs(originalParas, revisedParas, moves) {
-    const alignments = [];
+  alignParagraphs(originalParas, revisedParas, moves, options = this.defaultOptions, kinds = null) {
     const movedFromIndices = new Set(moves.map(m => m.fromIndex));
     const movedToIndices = new Set(moves.map(m => m.toIndex));
-    const moveMap = new Map(moves.map(m => [m.toIndex, m]));
 
-    let origIdx = 0;
-    let revIdx = 0;
+    // Fingerprints are prefixed with the block type so only same-type blocks are identical
+    const context = {
+      originalFP: originalParas.map((p, i) => kinds ? `${kinds.original[i]}:${this.fingerprint(p, options)}` : this.fingerprint(p, options)),
+      revisedFP: revisedParas.map((p, i) => kinds ? `${kinds.revised[i]}:${this.fingerprint(p, options)}` : this.fingerprint(p, options)),
+      originalKinds: kinds ? kinds.original : null,
+      revisedKinds: kinds ? kinds.revised : null,
+      originalWords: originalParas.map(p => this.wordSet(p, options)),
+      revisedWords: revisedParas.map(p => this.wordSet(p, options))
+    };
+
+    const origIndices = originalParas.map((p, i) => i).filter(i => !movedFromIndices.has(i));
+    const revIndices = revisedParas.map((p, i) => i).filter(i => !movedToIndices.has(i));
+    const steps = this.matchParagraphs(origIndices, revIndices, context);
+
+    const alignments = [];
+    const sortedMoves = [...moves].sort((a, b) => a.toIndex - b.toIndex);
+    let nextMove = 0;
 
-    while (origIdx < originalParas.length || revIdx < revisedParas.length) {
-      // Check if current revised paragraph is moved
-      if (revIdx < revisedParas.length && movedToIndices.has(revIdx)) {
-        const move = moveMap.get(revIdx);
+    // Emit moved paragraphs that come before the given revised index
+    const flushMoves = (beforeRevIdx) => {
+      while (nextMove < sortedMoves.length && sortedMoves[nextMove].toIndex < beforeRevIdx) {
+        const move = sortedMoves[nextMove++];
         alignments.push({
           type: 'moved',
           original: move.text,
-          revised: revisedParas[revIdx],
+          revised: revisedParas[move.toIndex],
           originalIndex: move.fromIndex,
-          revisedIndex: revIdx,
+          revisedIndex: move.toIndex,
           movedFrom: move.fromIndex,
-          movedTo: revIdx
+          movedTo: move.toIndex
         });
-        revIdx++;
-        continue;
       }
+    };
 
-      // Skip moved original paragraphs
-      if (origIdx < originalParas.length && movedFromIndices.has(origIdx)) {
-        origIdx++;
-        continue;
+    for (const { orig, rev } of steps) {
+      if (rev !== null) flushMoves(rev);
+
+      if (orig !== null && rev !== null) {
+        alignments.push({
+          type: context.originalFP[orig] === context.revisedFP[rev] ? 'unchanged' : 'modified',
+          original: originalParas[orig],
+          revised: revisedParas[rev],
+          originalIndex: orig,
+          revisedIndex: rev
+        });
+      } else if (orig !== null) {
+        alignments.push({
+          type: 'deleted',
+          original: originalParas[orig],
+          revised: null,
+          originalIndex: orig,
+          revisedIndex: null
+        });
+      } else {
+        alignments.push({
+          type: 'added',
+          original: null,
+          revised: revisedParas[rev],
+          originalIndex: null,
+          revisedIndex: rev
+        });
       }
+    }
+    flushMoves(Infinity);
 
-      // Compare paragraphs
-      if (origIdx < originalParas.length && revIdx < revisedParas.length) {
-        const origFP = Tokenizer.fingerprint(originalParas[origIdx]);
-        const revFP = Tokenizer.fingerprint(revisedParas[revIdx]);
-
-        if (origFP === revFP) {
-          // Unchanged
-          alignments.push({
-            type: 'unchanged',
-            original: originalParas[origIdx],
-            revised: revisedParas[revIdx],
-            originalIndex: origIdx,
-            revisedIndex: revIdx
-          });
-          origIdx++;
-          revIdx++;
-        } else {
-          const similarity = this.paragraphSimilarity(originalParas[origIdx], revisedParas[revIdx]);
-
-          if (similarity > 0.3) {
-            alignments.push({
-              type: 'modified',
-              original: originalParas[origIdx],
-              revised: revisedParas[revIdx],
-              originalIndex: origIdx,
-              revisedIndex: revIdx
-            });
-            origIdx++;
-            revIdx++;
-          } else {
-            const nextOrigSim = origIdx + 1 < originalParas.length ?
-              this.paragraphSimilarity(originalParas[origIdx + 1], revisedParas[revIdx]) : 0;
-            const nextRevSim = revIdx + 1 < revisedParas.length ?
-              this.paragraphSimilarity(originalParas[origIdx], revisedParas[revIdx + 1]) : 0;
-
-            if (nextOrigSim > nextRevSim && nextOrigSim > 0.3) {
-              alignments.push({
-                type: 'deleted',
-                original: originalParas[origIdx],
-                revised: null,
-                originalIndex: origIdx,
-                revisedIndex: null
-              });
-              origIdx++;
-            } else if (nextRevSim > 0.3) {
-              alignments.push({
-                type: 'added',
-                original: null,
-                revised: revisedParas[revIdx],
-                originalIndex: null,
-                revisedIndex: revIdx
-              });
-              revIdx++;
-            } else {
-              alignments.push({
-                type: 'modified',
-                original: originalParas[origIdx],
-                revised: revisedParas[revIdx],
-                originalIndex: origIdx,
-                revisedIndex: revIdx
-              });
-              origIdx++;
-              revIdx++;
-            }
-          }
-        }
-      } else if (origIdx < originalParas.length) {
-        if (!movedFromIndices.has(origIdx)) {
-          alignments.push({
-            type: 'deleted',
-            original: originalParas[origIdx],
-            revised: null,
-            originalIndex: origIdx,
-            revisedIndex: null
-          });
+    return alignments;
+  },
+
+  /**
+   * Pair original and revised paragraph indices in order
+   * Identical leading and trailing paragraphs are paired directly; the middle
+   * is aligned by score, or split on identical anchor paragraphs first when
+   * it is too large for a full score table.
+   * @param {number[]} origIndices - Original paragraph indices
+   * @param {number[]} revIndices - Revised paragraph indices
+   * @param {Object} context - Fingerprints and word sets of both texts
+   * @returns {Array<{orig: ?number, rev: ?number}>} Alignment steps in order
+   */
+  matchParagraphs(origIndices, revIndices, context) {
+    const { originalFP, revisedFP } = context;
+    const n = origIndices.length;
+    const m = revIndices.length;
+
+    let start = 0;
+    while (start < n && start < m &&
+           originalFP[origIndices[start]] === revisedFP[revIndices[start]]) {
+      start++;
+    }
+
+    let end = 0;
+    while (end < n - start && end < m - start &&
+           originalFP[origIndices[n - 1 - end]] === revisedFP[revIndices[m - 1 - end]]) {
+      end++;
+    }
+
+    const steps = [];
+    for (let i = 0; i < start; i++) {
+      steps.push({ orig: origIndices[i], rev: revIndices[i] });
+    }
+
+    const midOrig = origIndices.slice(start, n - end);
+    const midRev = revIndices.slice(start, m - end);
+
+    if (midOrig.length * midRev.length <= this.alignmentCellLimit) {
+      steps.push(...this.alignByScore(midOrig, midRev, context));
+    } else {
+      steps.push(...this.alignByAnchors(midOrig, midRev, context));
+    }
+
+    for (let i = end; i > 0; i--) {
+      steps.push({ orig: origIndices[n - i], rev: revIndices[m - i] });
+    }
+
+    return steps;
+  },
+
+  /**
+   * Split a large range on identical paragraphs (LCS of fingerprints),
+   * then align each gap between them by score
+   * @param {number[]} origIndices - Original paragraph indices
+   * @param {number[]} revIndices - Revised paragraph indices
+   * @param {Object} context - Fingerprints and word sets of both texts
+   * @returns {Array<{orig: ?number, rev: ?number}>} Alignment steps in order
+   */
+  alignByAnchors(origIndices, revIndices, context) {
+    const anchorOps = this.myersDiff(
+      origIndices.map(i => ({ key: context.originalFP[i] })),
+      revIndices.map(i => ({ key: context.revisedFP[i] }))
+    );
+
+    const steps = [];
+    let gapOrig = [];
+    let gapRev = [];
+
+    const flushGap = () => {
+      if (gapOrig.length * gapRev.length <= this.alignmentCellLimit) {
+        steps.push(...this.alignByScore(gapOrig, gapRev, context));
+      } else {
+        gapOrig.forEach(orig => steps.push({ orig, rev: null }));
+        gapRev.forEach(rev => steps.push({ orig: null, rev }));
+      }
+      gapOrig = [];
+      gapRev = [];
+    };
+
+    let o = 0, r = 0;
+    for (const op of anchorOps) {
+      if (op.type === 'equal') {
+        flushGap();
+        steps.push({ orig: origIndices[o++], rev: revIndices[r++] });
+      } else if (op.type === 'delete') {
+        gapOrig.push(origIndices[o++]);
+      } else {
+        gapRev.push(revIndices[r++]);
+      }
+    }
+    flushGap();
+
+    return steps;
+  },
+
+  /**
+   * Align two ranges with dynamic programming, maximizing the summed pair score
+   * Unpaired paragraphs become deletions (listed first) and additions.
+   * @param {number[]} origIndices - Original paragraph indices
+   * @param {number[]} revIndices - Revised paragraph indices
+   * @param {Object} context - Fingerprints and word sets of both texts
+   * @returns {Array<{orig: ?number, rev: ?number}>} Alignment steps in order
+   */
+  alignByScore(origIndices, revIndices, context) {
+    const n = origIndices.length;
+    const m = revIndices.length;
+    const cols = m + 1;
+
+    // score[i][j] = best total score aligning origIndices[i..] with revIndices[j..]
+    const score = new Float64Array((n + 1) * cols);
+    const pair = new Float64Array(n * m);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        const pairScore = this.pairScore(origIndices[i], revIndices[j], context);
+        pair[i * m + j] = pairScore;
+
+        let best = Math.max(score[(i + 1) * cols + j], score[i * cols + j + 1]);
+        if (pairScore > 0) {
+          best = Math.max(best, pairScore + score[(i + 1) * cols + j + 1]);
         }
-        origIdx++;
-      } else if (revIdx < revisedParas.length) {
-        if (!movedToIndices.has(revIdx)) {
-          alignments.push({
-            type: 'added',
-            original: null,
-            revised: revisedParas[revIdx],
-            originalIndex: null,
-            revisedIndex: revIdx
-          });
+        score[i * cols + j] = best;
+      }
+    }
+
+    const steps = [];
+    let i = 0, j = 0;
+
+    while (i < n || j < m) {
+      if (i < n && j < m) {
+        const pairScore = pair[i * m + j];
+        if (pairScore > 0 && score[i * cols + j] === pairScore + score[(i + 1) * cols + j + 1]) {
+          steps.push({ orig: origIndices[i++], rev: revIndices[j++] });
+          continue;
         }
-        revIdx++;
+      }
+
+      if (i < n && (j === m || score[i * cols + j] === score[(i + 1) * cols + j])) {
+        steps.push({ orig: origIndices[i++], rev: null });
+      } else {
+        steps.push({ orig: null, rev: revIndices[j++] });
       }
     }
 
-    return alignments;
+    return steps;
+  },
+
+  /**
+   * Score a candidate paragraph pair: identical paragraphs score highest,
+   * similar ones by similarity, dissimilar ones and different block types 0 (never paired)
+   * @param {number} origIdx - Original paragraph index
+   * @param {number} revIdx - Revised paragraph index
+   * @param {Object} context - Fingerprints and word sets of both texts
+   * @returns {number} Pair score
+   */
+  pairScore(origIdx, revIdx, context) {
+    if (context.originalFP[origIdx] === context.revisedFP[revIdx]) return 2;
+    if (context.originalKinds && context.originalKinds[origIdx] !== context.revisedKinds[revIdx]) return 0;
+
+    const similarity = this.setSimilarity(context.originalWords[origIdx], context.revisedWords[revIdx]);
+    return similarity > this.pairingThreshold ? similarity : 0;
+  },
+
+  /**
+   * Look up a value in the comparison cache, computing it on a miss
+   * Outside compare() nothing is cached.
+   * @param {string} store - 'fingerprints', 'wordSets' or 'operations'
+   * @param {string} key - Cache key
+   * @param {Function} compute - Produces the value on a miss
+   * @returns {*} Cached or computed value
+   */
+  cached(store, key, compute) {
+    const current = this.cache.current;
+    if (!current) return compute();
+
+    let value = current[store].get(key);
+    if (value === undefined) {
+      value = this.cache.previous[store].get(key);
+      if (value === undefined) value = compute();
+      current[store].set(key, value);
+    }
+    return value;
+  },
+
+  /**
+   * Paragraph fingerprint, cached between comparisons
+   * @param {string} text - Paragraph text
+   * @param {Object} options - Comparison options (normalization)
+   * @returns {number} Hash value
+   */
+  fingerprint(text, options) {
+    return this.cached('fingerprints', text, () => Tokenizer.fingerprint(text, options));
   },
 
   /**
@@ -292,9 +881,30 @@ const DiffEngine = {
    * @returns {number} Similarity score 0-1
    */
   paragraphSimilarity(para1, para2) {
-    const words1 = new Set(para1.toLowerCase().split(/\s+/));
-    const words2 = new Set(para2.toLowerCase().split(/\s+/));
+    return this.setSimilarity(this.wordSet(para1), this.wordSet(para2));
+  },
+
+  /**
+   * Lowercased word set of a paragraph, for similarity scoring, cached between comparisons
+   * In rich-text mode only the text counts, so reformatting keeps paragraphs paired.
+   * @param {string} text - Paragraph text
+   * @param {Object} [options] - Comparison options (normalization)
+   * @returns {Set<string>} Word set
+   */
+  wordSet(text, options = this.defaultOptions) {
+    return this.cached('wordSets', text, () => {
+      const plain = options.richText ? RichText.plainText(text) : text;
+      return new Set(Tokenizer.normalize(plain, options).toLowerCase().split(/\s+/));
+    });
+  },
 
+  /**
+   * Jaccard similarity of two word sets
+   * @param {Set<string>} words1 - First word set
+   * @param {Set<string>} words2 - Second word set
+   * @returns {number} Similarity score 0-1
+   */
+  setSimilarity(words1, words2) {
     let intersection = 0;
     for (const word of words1) {
       if (words2.has(word)) intersection++;
@@ -308,81 +918,325 @@ const DiffEngine = {
    * Main comparison function
    * @param {string} originalText - Original text
    * @param {string} revisedText - Revised text
-   * @returns {Object} Diff result with paragraphs and stats
+   * @param {Object} [options] - Comparison options (see defaultOptions)
+   * @param {Function} [onProgress] - Called as (done, total) after each paragraph is diffed
+   * @returns {Object} Diff result with paragraphs, reviewable changes (see
+   *   collectChanges), stats, the options used and truncated: true when a work
+   *   budget ran out and the diff is approximate
    */
-  compare(originalText, revisedText) {
-    const originalParas = Tokenizer.splitParagraphs(originalText);
-    const revisedParas = Tokenizer.splitParagraphs(revisedText);
+  compare(originalText, revisedText, options = {}, onProgress = null) {
+    const opts = { ...this.defaultOptions, ...options };
+    const budget = this.createBudget(opts);
+    const optionsKey = JSON.stringify(opts);
 
-    // Detect moved paragraphs
-    const moves = this.detectMovedParagraphs(originalParas, revisedParas);
+    // Cached values depend on the options
+    if (optionsKey !== this.cache.optionsKey) {
+      this.cache.previous = { fingerprints: new Map(), wordSets: new Map(), operations: new Map() };
+      this.cache.optionsKey = optionsKey;
+    }
+    this.cache.current = { fingerprints: new Map(), wordSets: new Map(), operations: new Map() };
 
-    // Align paragraphs
-    const alignments = this.alignParagraphs(originalParas, revisedParas, moves);
+    try {
+      const originalBlocks = this.splitBlocks(originalText, opts);
+      const revisedBlocks = this.splitBlocks(revisedText, opts);
+      const originalParas = originalBlocks.map(b => b.text);
+      const revisedParas = revisedBlocks.map(b => b.text);
+      const kinds = opts.markdown
+        ? { original: originalBlocks.map(b => b.type), revised: revisedBlocks.map(b => b.type) }
+        : null;
 
-    // Process each alignment with word-level diff
-    const paragraphResults = [];
+      // Detect moved paragraphs
+      const moves = this.detectMovedParagraphs(originalParas, revisedParas, opts, kinds);
 
-    for (const alignment of alignments) {
-      const result = {
-        type: alignment.type,
-        originalIndex: alignment.originalIndex,
-        revisedIndex: alignment.revisedIndex,
-        operations: [],
-        movedFrom: alignment.movedFrom || null,
-        movedTo: alignment.movedTo || null
-      };
+      // Align paragraphs
+      const alignments = this.alignParagraphs(originalParas, revisedParas, moves, opts, kinds);
+
+      // Process each alignment with word-level diff
+      const paragraphResults = [];
+
+      for (const [i, alignment] of alignments.entries()) {
+        const result = {
+          type: alignment.type,
+          originalIndex: alignment.originalIndex,
+          revisedIndex: alignment.revisedIndex,
+          operations: [],
+          movedFrom: alignment.movedFrom ?? null,
+          movedTo: alignment.movedTo ?? null
+        };
+
+        // Markdown block of the paragraph (revised side when it exists)
+        const block = alignment.revisedIndex !== null
+          ? revisedBlocks[alignment.revisedIndex]
+          : originalBlocks[alignment.originalIndex];
+        if (opts.markdown) {
+          const { text, ...meta } = block;
+          result.block = meta;
+
+          // Keep the original block's markup when a paired block changed it (e.g. heading level)
+          if (alignment.originalIndex !== null && alignment.revisedIndex !== null) {
+            const { text: originalText, ...originalMeta } = originalBlocks[alignment.originalIndex];
+            if (JSON.stringify(originalMeta) !== JSON.stringify(meta)) {
+              result.originalBlock = originalMeta;
+            }
+          }
+        }
 
-      if (alignment.type === 'modified' || alignment.type === 'moved' || alignment.type === 'unchanged') {
-        const oldTokens = Tokenizer.tokenizeWords(alignment.original || '');
-        const newTokens = Tokenizer.tokenizeWords(alignment.revised || '');
-        result.operations = this.myersDiff(oldTokens, newTokens);
-      } else if (alignment.type === 'added') {
-        const newTokens = Tokenizer.tokenizeWords(alignment.revised);
-        result.operations = newTokens.map(w => ({ type: 'insert', word: w }));
-      } else if (alignment.type === 'deleted') {
-        const oldTokens = Tokenizer.tokenizeWords(alignment.original);
-        result.operations = oldTokens.map(w => ({ type: 'delete', word: w }));
+        if (alignment.type === 'modified' || alignment.type === 'moved' || alignment.type === 'unchanged') {
+          result.operations = this.diffParagraphs(alignment.original || '', alignment.revised || '', opts, budget, block.type);
+        } else if (alignment.type === 'added') {
+          const newTokens = this.tokenize(alignment.revised, opts, block.type);
+          result.operations = newTokens.map(w => ({ type: 'insert', word: w }));
+        } else if (alignment.type === 'deleted') {
+          const oldTokens = this.tokenize(alignment.original, opts, block.type);
+          result.operations = oldTokens.map(w => ({ type: 'delete', word: w }));
+        }
+
+        paragraphResults.push(result);
+        if (onProgress) onProgress(i + 1, alignments.length);
       }
 
-      paragraphResults.push(result);
+      return {
+        paragraphs: paragraphResults,
+        changes: this.collectChanges(paragraphResults),
+        stats: this.calculateStats(paragraphResults),
+        options: opts,
+        truncated: budget.truncated
+      };
+    } finally {
+      this.cache.previous = this.cache.current;
+      this.cache.current = null;
     }
+  },
 
-    return {
-      paragraphs: paragraphResults,
-      stats: this.calculateStats(paragraphResults)
+  /**
+   * Split text into paragraph blocks: Markdown blocks in markdown mode,
+   * plain paragraphs otherwise
+   * @param {string} text - Input text
+   * @param {Object} opts - Comparison options
+   * @returns {Array<{type: string, text: string}>} Blocks
+   */
+  splitBlocks(text, opts) {
+    if (opts.markdown) return Tokenizer.splitMarkdownBlocks(text);
+    return Tokenizer.splitParagraphs(text).map(p => ({ type: 'paragraph', text: p }));
+  },
+
+  /**
+   * Diff a paired paragraph, reusing the operations of an unchanged pair
+   * Approximate (budget-truncated) diffs are not cached.
+   * @param {string} original - Original paragraph
+   * @param {string} revised - Revised paragraph
+   * @param {Object} opts - Comparison options
+   * @param {Object} budget - Work budget
+   * @param {string} [blockType] - Markdown block type
+   * @returns {Array} Diff operations
+   */
+  diffParagraphs(original, revised, opts, budget, blockType = 'paragraph') {
+    const key = `${blockType}\u0000${original}\u0000${revised}`;
+    const current = this.cache.current;
+
+    const hit = current.operations.get(key) || this.cache.previous.operations.get(key);
+    if (hit) {
+      current.operations.set(key, hit);
+      return hit;
+    }
+
+    const operations = this.diffTokens(
+      this.tokenize(original, opts, blockType),
+      this.tokenize(revised, opts, blockType),
+      opts,
+      budget
+    );
+
+    if (!budget.truncated) {
+      current.operations.set(key, operations);
+    }
+    return operations;
+  },
+
+  /**
+   * List diff paragraphs in reading order with a placeholder at the original
+   * position of each moved paragraph
+   * A placeholder goes right after the last non-moved paragraph that came
+   * before it in the original text.
+   * @param {Object} diffResult - Diff result from compare()
+   * @returns {Array<{para: Object, origin: boolean}>} Entries; origin entries are placeholders
+   */
+  documentOrder(diffResult) {
+    const origins = diffResult.paragraphs
+      .filter(para => para.movedFrom !== null)
+      .sort((a, b) => a.movedFrom - b.movedFrom);
+
+    const entries = [];
+    let nextOrigin = 0;
+
+    // Placeholders for moves that came before the given original index
+    const flushOrigins = (beforeOrigIdx) => {
+      while (nextOrigin < origins.length && origins[nextOrigin].movedFrom < beforeOrigIdx) {
+        entries.push({ para: origins[nextOrigin++], origin: true });
+      }
     };
+
+    for (const para of diffResult.paragraphs) {
+      if (para.movedFrom === null && para.originalIndex !== null) {
+        flushOrigins(para.originalIndex);
+      }
+      entries.push({ para, origin: false });
+    }
+    flushOrigins(Infinity);
+
+    return entries;
+  },
+
+  /**
+   * List the changes a reviewer can accept or reject, in paragraph order
+   * Each run of consecutive changed operations in a paragraph is one change
+   * (a whole added or deleted paragraph is a single run); equal operations
+   * flagged formatChanged count as changed. A moved paragraph also has a
+   * 'move' change, listed before the runs inside it.
+   * @param {Array} paragraphs - Diff paragraphs
+   * @returns {Array<{id: number, type: string, paragraph: number, start?: number, end?: number}>}
+   *   Changes; type is 'move', 'insert', 'delete', 'format' (formatting only)
+   *   or 'replace', and runs cover operations start to end (exclusive)
+   */
+  collectChanges(paragraphs) {
+    const changes = [];
+
+    paragraphs.forEach((para, paragraph) => {
+      if (para.movedFrom !== null) {
+        changes.push({ id: changes.length, type: 'move', paragraph });
+      }
+
+      const changed = op => op.type !== 'equal' || op.formatChanged;
+      let start = -1;
+      para.operations.forEach((op, i) => {
+        if (changed(op) && start < 0) start = i;
+
+        const runEnds = start >= 0 && (i === para.operations.length - 1 || !changed(para.operations[i + 1]));
+        if (runEnds) {
+          const types = new Set(para.operations.slice(start, i + 1).map(o => (o.type === 'equal' ? 'format' : o.type)));
+          const type = types.size === 1 && !types.has('modify') ? [...types][0] : 'replace';
+          changes.push({ id: changes.length, type, paragraph, start, end: i + 1 });
+          start = -1;
+        }
+      });
+    });
+
+    return changes;
   },
 
   /**
    * Calculate statistics from diff result
+   * Word counts are in tokens of the chosen granularity; a modified word
+   * counts as one deleted and one added word; a word that only changed
+   * formatting is unchanged and also counted as reformatted. Character counts leave out
+   * whitespace and count only the changed characters of a modified word.
+   * percentChanged is the share of the characters of both versions that were
+   * added or deleted; similarity is 1 minus the character edit distance over
+   * the length of the longer version (at least 0), where a replaced character
+   * is one edit.
+   * A moved paragraph counts as unchanged apart from the edits inside it.
    * @param {Array} paragraphs - Diff paragraphs
    * @returns {Object} Statistics object
    */
   calculateStats(paragraphs) {
-    let wordsAdded = 0, wordsDeleted = 0, wordsUnchanged = 0;
+    let wordsAdded = 0, wordsDeleted = 0, wordsUnchanged = 0, wordsReformatted = 0;
     let paragraphsMoved = 0;
+    const paragraphCounts = { added: 0, deleted: 0, modified: 0, unchanged: 0 };
 
     for (const para of paragraphs) {
       if (para.movedFrom !== null || para.movedTo !== null) paragraphsMoved++;
+      else if (para.type in paragraphCounts) paragraphCounts[para.type]++;
 
       for (const op of para.operations) {
         if (op.type === 'insert') wordsAdded++;
         else if (op.type === 'delete') wordsDeleted++;
-        else wordsUnchanged++;
+        else if (op.type === 'modify') {
+          wordsAdded++;
+          wordsDeleted++;
+        } else {
+          wordsUnchanged++;
+          if (op.formatChanged) wordsReformatted++;
+        }
       }
     }
 
+    const chars = this.countChars(paragraphs);
+    const charsAdded = chars.added, charsDeleted = chars.deleted, charsUnchanged = chars.unchanged;
+
+    const wordsOriginal = wordsDeleted + wordsUnchanged;
+    const wordsRevised = wordsAdded + wordsUnchanged;
+    const charsOriginal = charsDeleted + charsUnchanged;
+    const charsRevised = charsAdded + charsUnchanged;
+    const charsTotal = charsOriginal + charsRevised;
+    const charsLonger = Math.max(charsOriginal, charsRevised);
+
     return {
-      wordsOriginal: wordsDeleted + wordsUnchanged,
-      wordsRevised: wordsAdded + wordsUnchanged,
+      wordsOriginal,
+      wordsRevised,
       wordsAdded,
       wordsDeleted,
       wordsUnchanged,
-      paragraphsMoved
+      wordsReformatted,
+      paragraphsAdded: paragraphCounts.added,
+      paragraphsDeleted: paragraphCounts.deleted,
+      paragraphsModified: paragraphCounts.modified,
+      paragraphsMoved,
+      paragraphsUnchanged: paragraphCounts.unchanged,
+      charsOriginal,
+      charsRevised,
+      charsAdded,
+      charsDeleted,
+      charsUnchanged,
+      percentChanged: charsTotal > 0 ? (100 * (charsAdded + charsDeleted)) / charsTotal : 0,
+      similarity: charsLonger > 0 ? Math.max(0, 1 - chars.editDistance / charsLonger) : 1
     };
+  },
+
+  /**
+   * Count the characters of paragraphs' operations, whitespace excluded
+   * The edit distance of each run of changes is the larger of its added and
+   * deleted character counts: replaced characters count once. A run continues
+   * into the next paragraph, so a rewritten paragraph that shows as one
+   * removed and one added paragraph is still a replacement.
+   * @param {Array} paragraphs - Diff paragraphs
+   * @returns {{added: number, deleted: number, unchanged: number, editDistance: number}} Counts
+   */
+  countChars(paragraphs) {
+    const length = (text) => text.replace(/\s+/g, '').length;
+    const counts = { added: 0, deleted: 0, unchanged: 0, editDistance: 0 };
+    let runAdded = 0, runDeleted = 0;
+
+    const count = (type, text) => {
+      const n = length(text);
+      if (type === 'insert') {
+        counts.added += n;
+        runAdded += n;
+      } else if (type === 'delete') {
+        counts.deleted += n;
+        runDeleted += n;
+      } else {
+        // An equal stretch ends the run of changes before it
+        counts.editDistance += Math.max(runAdded, runDeleted);
+        runAdded = 0;
+        runDeleted = 0;
+        counts.unchanged += n;
+      }
+    };
+
+    for (const op of paragraphs.flatMap(para => para.operations)) {
+      if (op.type !== 'modify') {
+        count(op.type, op.word.text);
+      } else if (op.chars) {
+        op.chars.forEach(run => count(run.type, run.text));
+      } else {
+        count('insert', op.word.text);
+        count('delete', op.oldWord.text);
+      }
+    }
+    count('equal', '');
+    return counts;
   }
 };
 
 // Export for use in other modules
-window.DiffEngine = DiffEngine;
+export { DiffEngine };
@@ -0,0 +1,407 @@
+/**
+ * Diff Format Module
+ * Versioned JSON format for diff results, for exchanging comparisons with
+ * other tools and loading them back without the source texts.
+ *
+ * Format (version 1):
+ *   {
+ *     format: 'texttrack-diff',
+ *     version: 1,
+ *     options: {...},                  comparison options used (see DiffEngine.defaultOptions)
+ *     truncated: boolean,              true when the diff is approximate (time budget ran out)
+ *     texts?: {original, revised},     source texts with \n line endings; optional
+ *     stats?: {...},                   as DiffEngine.calculateStats; informative only
+ *     paragraphs: [{
+ *       type: 'unchanged' | 'modified' | 'moved' | 'added' | 'deleted',
+ *       original: {index, start, end} | null,   paragraph position in the original text
+ *       revised: {index, start, end} | null,    paragraph position in the revised text
+ *       movedFrom: number | null,       original index of a moved paragraph
+ *       movedTo: number | null,         revised index of a moved paragraph
+ *       block?: block, originalBlock?: block,   Markdown block metadata
+ *       operations: [{
+ *         type: 'equal' | 'insert' | 'delete' | 'modify',
+ *         original?: token,             present for equal, delete and modify
+ *         revised?: token,              present for equal, insert and modify
+ *         chars?: [{type, text}],       character diff of a modified word
+ *         formatChanged?: true          equal word whose formatting changed (rich text)
+ *       }]
+ *     }]
+ *   }
+ *   token: {text, trailingSpace, start, end, format?}
+ *   block: {type: 'paragraph' | 'quote' | 'rule' | 'table'} | {type: 'heading', level: 1-6}
+ *     | {type: 'list', ordered: boolean, marker: string, depth: number} | {type: 'code', lang: string}
+ *   format: {link?: url, bold?, italic?, strike?, code?: true}   only in rich-text
+ *     comparisons (options.richText), where text is the token without its markup
+ *
+ * Paragraphs are in reading order of the merged document; a moved paragraph
+ * sits at its destination. index is the paragraph's position among the
+ * paragraphs of its text. start and end are character offsets (UTF-16 code
+ * units, end exclusive) into the text with \r\n line endings normalized to \n,
+ * or null when a token could not be located.
+ */
+
+import { DiffEngine } from './diff-engine.js';
+import { RichText } from './rich-text.js';
+
+const DiffFormat = {
+  /**
+   * Format name and the newest version this module reads and writes
+   */
+  name: 'texttrack-diff',
+  version: 1,
+
+  paragraphTypes: ['unchanged', 'modified', 'moved', 'added', 'deleted'],
+  operationTypes: ['equal', 'insert', 'delete', 'modify'],
+
+  /**
+   * Markdown block types and their metadata (see Tokenizer.splitMarkdownBlocks)
+   */
+  blockTypes: {
+    paragraph: [],
+    heading: ['level'],
+    list: ['ordered', 'marker', 'depth'],
+    code: ['lang'],
+    quote: [],
+    rule: [],
+    table: []
+  },
+
+  /**
+   * Serialize a diff result
+   * @param {Object} diffResult - Diff result from DiffEngine.compare
+   * @param {string} originalText - Original text the result was compared from
+   * @param {string} revisedText - Revised text
+   * @param {Object} [options] - {includeTexts: whether to embed the texts (default true)}
+   * @returns {Object} Diff document, ready for JSON.stringify
+   */
+  serialize(diffResult, originalText, revisedText, options = {}) {
+    const texts = {
+      original: originalText.replace(/\r\n/g, '\n'),
+      revised: revisedText.replace(/\r\n/g, '\n')
+    };
+    const offsets = {
+      original: this.locateTokens(diffResult, texts.original, 'original'),
+      revised: this.locateTokens(diffResult, texts.revised, 'revised')
+    };
+
+    const token = (word, side) => {
+      const range = offsets[side].get(word) || { start: null, end: null };
+      const entry = { text: word.text, trailingSpace: word.trailingSpace, start: range.start, end: range.end };
+      if (word.format) entry.format = { ...word.format };
+      return entry;
+    };
+
+    const paragraphs = diffResult.paragraphs.map(para => {
+      const operations = para.operations.map(op => {
+        switch (op.type) {
+          case 'equal': {
+            const entry = { type: 'equal', original: token(op.word, 'original'), revised: token(op.newWord || op.word, 'revised') };
+            if (op.formatChanged) entry.formatChanged = true;
+            return entry;
+          }
+          case 'insert':
+            return { type: 'insert', revised: token(op.word, 'revised') };
+          case 'delete':
+            return { type: 'delete', original: token(op.word, 'original') };
+          default: {
+            const entry = { type: 'modify', original: token(op.oldWord, 'original'), revised: token(op.word, 'revised') };
+            if (op.chars) entry.chars = op.chars.map(({ type, text }) => ({ type, text }));
+            return entry;
+          }
+        }
+      });
+
+      const entry = {
+        type: para.type,
+        original: this.paragraphRange(para.originalIndex, operations, 'original'),
+        revised: this.paragraphRange(para.revisedIndex, operations, 'revised'),
+        movedFrom: para.movedFrom,
+        movedTo: para.movedTo
+      };
+      if (para.block) entry.block = para.block;
+      if (para.originalBlock) entry.originalBlock = para.originalBlock;
+      entry.operations = operations;
+      return entry;
+    });
+
+    const data = {
+      format: this.name,
+      version: this.version,
+      options: { ...diffResult.options },
+      truncated: Boolean(diffResult.truncated)
+    };
+    if (options.includeTexts !== false) data.texts = texts;
+    data.stats = diffResult.stats;
+    data.paragraphs = paragraphs;
+    return data;
+  },
+
+  /**
+   * Find the character offsets of one side's tokens in its source text
+   * Tokens are searched for in reading order of that side, each after the previous one.
+   * @param {Object} diffResult - Diff result
+   * @param {string} text - Source text of the side
+   * @param {string} side - 'original' or 'revised'
+   * @returns {Map<Object, {start: number, end: number}>} Token to its range
+   */
+  locateTokens(diffResult, text, side) {
+    const indexKey = side === 'original' ? 'originalIndex' : 'revisedIndex';
+    const paragraphs = diffResult.paragraphs
+      .filter(para => para[indexKey] !== null)
+      .sort((a, b) => a[indexKey] - b[indexKey]);
+
+    const ranges = new Map();
+    let position = 0;
+
+    for (const para of paragraphs) {
+      for (const op of para.operations) {
+        let word;
+        if (op.type === 'equal') word = side === 'original' ? op.word : (op.newWord || op.word);
+        else if (op.type === 'modify') word = side === 'original' ? op.oldWord : op.word;
+        else if ((op.type === 'delete') === (side === 'original')) word = op.word;
+        if (!word) continue;
+
+        const start = text.indexOf(word.text, position);
+        if (start === -1) continue;
+        ranges.set(word, { start, end: start + word.text.length });
+        position = start + word.text.length;
+      }
+    }
+    return ranges;
+  },
+
+  /**
+   * Position of a paragraph in one side's text, spanning its located tokens
+   * @param {?number} index - Paragraph index on that side, null when it has none
+   * @param {Array<Object>} operations - Serialized operations
+   * @param {string} side - 'original' or 'revised'
+   * @returns {?{index: number, start: ?number, end: ?number}} Range
+   */
+  paragraphRange(index, operations, side) {
+    if (index === null) return null;
+
+    const located = operations
+      .map(op => op[side])
+      .filter(token => token && token.start !== null);
+    return {
+      index,
+      start: located.length > 0 ? located[0].start : null,
+      end: located.length > 0 ? located[located.length - 1].end : null
+    };
+  },
+
+  /**
+   * Check a diff document against the format
+   * @param {*} data - Parsed JSON
+   * @returns {string[]} Problems found, each prefixed with its path; empty when valid
+   */
+  validate(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isIndex = (value) => Number.isInteger(value) && value >= 0;
+    const isOffset = (value) => value === null || isIndex(value);
+
+    if (!isObject(data)) return ['document: expected an object'];
+    if (data.format !== this.name) errors.push(`format: expected "${this.name}"`);
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push('version: expected a positive integer');
+    } else if (data.version > this.version) {
+      errors.push(`version: ${data.version} is newer than the supported version ${this.version}`);
+    }
+    if (!isObject(data.options)) {
+      errors.push('options: expected an object');
+    } else {
+      // Unknown options are ignored (see deserialize)
+      for (const [option, value] of Object.entries(data.options)) {
+        if (Object.hasOwn(DiffEngine.defaultOptions, option) && !DiffEngine.isValidOption(option, value)) {
+          const allowed = DiffEngine.optionValues[option];
+          let expected = 'expected a boolean';
+          if (Array.isArray(allowed)) expected = `expected one of ${allowed.join(', ')}`;
+          else if (allowed) expected = 'value out of range';
+          errors.push(`options.${option}: ${expected}`);
+        }
+      }
+    }
+    if (data.truncated !== undefined && typeof data.truncated !== 'boolean') {
+      errors.push('truncated: expected a boolean');
+    }
+
+    const texts = data.texts;
+    if (texts !== undefined && !(isObject(texts) && typeof texts.original === 'string' && typeof texts.revised === 'string')) {
+      errors.push('texts: expected {original, revised} strings');
+    }
+    const sourceText = (side) => (isObject(texts) && typeof texts[side] === 'string' ? texts[side] : null);
+
+    const blockFields = {
+      level: [(value) => Number.isInteger(value) && value >= 1 && value <= 6, 'an integer from 1 to 6'],
+      ordered: [(value) => typeof value === 'boolean', 'a boolean'],
+      marker: [(value) => typeof value === 'string', 'a string'],
+      depth: [isIndex, 'a non-negative integer'],
+      lang: [(value) => typeof value === 'string', 'a string']
+    };
+    const checkBlock = (block, path) => {
+      if (!isObject(block) || !Object.hasOwn(this.blockTypes, block.type)) {
+        errors.push(`${path}.type: expected one of ${Object.keys(this.blockTypes).join(', ')}`);
+        return;
+      }
+      const fields = this.blockTypes[block.type];
+      for (const key of Object.keys(block)) {
+        if (key !== 'type' && !fields.includes(key)) errors.push(`${path}.${key}: unexpected for a ${block.type} block`);
+      }
+      for (const key of fields) {
+        const [valid, expected] = blockFields[key];
+        if (!valid(block[key])) errors.push(`${path}.${key}: expected ${expected}`);
+      }
+    };
+
+    const checkToken = (token, path, side) => {
+      if (!isObject(token)) {
+        errors.push(`${path}: expected a token`);
+        return;
+      }
+      if (typeof token.text !== 'string') errors.push(`${path}.text: expected a string`);
+      if (typeof token.trailingSpace !== 'string') errors.push(`${path}.trailingSpace: expected a string`);
+      if (!isOffset(token.start) || !isOffset(token.end) || (token.start === null) !== (token.end === null)) {
+        errors.push(`${path}: start and end must both be offsets or both null`);
+        return;
+      }
+      if (token.format !== undefined && !(isObject(token.format) && Object.entries(token.format).every(([style, value]) =>
+        (style === 'link' && typeof value === 'string') || (RichText.styles.includes(style) && style !== 'link' && typeof value === 'boolean')))) {
+        errors.push(`${path}.format: expected {link?: string, bold?, italic?, strike?, code?: boolean}`);
+      }
+      const source = sourceText(side);
+      if (source !== null && token.start !== null && source.slice(token.start, token.end) !== token.text) {
+        errors.push(`${path}: offsets ${token.start}-${token.end} do not match the ${side} text`);
+      }
+    };
+
+    if (!Array.isArray(data.paragraphs)) {
+      errors.push('paragraphs: expected an array');
+      return errors;
+    }
+
+    data.paragraphs.forEach((para, p) => {
+      const path = `paragraphs[${p}]`;
+      if (!isObject(para)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (!this.paragraphTypes.includes(para.type)) {
+        errors.push(`${path}.type: expected one of ${this.paragraphTypes.join(', ')}`);
+      }
+
+      for (const side of ['original', 'revised']) {
+        const range = para[side];
+        const absent = (side === 'original' && para.type === 'added') || (side === 'revised' && para.type === 'deleted');
+        if (range === null || range === undefined) {
+          if (!absent) errors.push(`${path}.${side}: expected a paragraph position`);
+        } else if (absent) {
+          errors.push(`${path}.${side}: expected null for an ${para.type} paragraph`);
+        } else if (!isObject(range) || !isIndex(range.index) || !isOffset(range.start) || !isOffset(range.end)) {
+          errors.push(`${path}.${side}: expected {index, start, end}`);
+        }
+      }
+
+      for (const key of ['movedFrom', 'movedTo']) {
+        if (para[key] !== undefined && para[key] !== null && !isIndex(para[key])) errors.push(`${path}.${key}: expected an index or null`);
+      }
+      if (para.type === 'moved' && (!isIndex(para.movedFrom) || !isIndex(para.movedTo))) {
+        errors.push(`${path}: a moved paragraph needs movedFrom and movedTo`);
+      }
+      for (const key of ['block', 'originalBlock']) {
+        if (para[key] !== undefined) checkBlock(para[key], `${path}.${key}`);
+      }
+
+      if (!Array.isArray(para.operations)) {
+        errors.push(`${path}.operations: expected an array`);
+        return;
+      }
+      para.operations.forEach((op, o) => {
+        const opPath = `${path}.operations[${o}]`;
+        if (!isObject(op) || !this.operationTypes.includes(op.type)) {
+          errors.push(`${opPath}.type: expected one of ${this.operationTypes.join(', ')}`);
+          return;
+        }
+        if (op.type !== 'insert') checkToken(op.original, `${opPath}.original`, 'original');
+        if (op.type !== 'delete') checkToken(op.revised, `${opPath}.revised`, 'revised');
+        if (op.chars !== undefined && !(Array.isArray(op.chars) &&
+          op.chars.every(char => isObject(char) && ['equal', 'insert', 'delete'].includes(char.type) && typeof char.text === 'string'))) {
+          errors.push(`${opPath}.chars: expected [{type, text}] with type equal, insert or delete`);
+        }
+        if (op.formatChanged !== undefined && !(op.type === 'equal' && typeof op.formatChanged === 'boolean')) {
+          errors.push(`${opPath}.formatChanged: expected a boolean on an equal operation`);
+        }
+      });
+    });
+
+    return errors;
+  },
+
+  /**
+   * Rebuild a diff result from a diff document
+   * @param {*} data - Parsed JSON
+   * @returns {Object} Diff result, as from DiffEngine.compare
+   * @throws {Error} When the document is not valid (see validate)
+   */
+  deserialize(data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+      throw new Error(`Not a valid diff file: ${errors.slice(0, 3).join('; ')}${more}`);
+    }
+
+    const word = (token) => {
+      const entry = { text: token.text, trailingSpace: token.trailingSpace };
+      if (token.format) entry.format = { ...token.format };
+      return entry;
+    };
+    const sameWord = (a, b) => a.text === b.text && a.trailingSpace === b.trailingSpace &&
+      RichText.formatKey(a.format) === RichText.formatKey(b.format);
+
+    const paragraphs = data.paragraphs.map(para => {
+      const result = {
+        type: para.type,
+        originalIndex: para.original ? para.original.index : null,
+        revisedIndex: para.revised ? para.revised.index : null,
+        operations: para.operations.map(op => {
+          switch (op.type) {
+            case 'equal': {
+              const entry = { type: 'equal', word: word(op.original) };
+              if (!sameWord(op.original, op.revised)) entry.newWord = word(op.revised);
+              if (op.formatChanged) entry.formatChanged = true;
+              return entry;
+            }
+            case 'insert':
+              return { type: 'insert', word: word(op.revised) };
+            case 'delete':
+              return { type: 'delete', word: word(op.original) };
+            default: {
+              const entry = { type: 'modify', word: word(op.revised), oldWord: word(op.original) };
+              if (op.chars) entry.chars = op.chars.map(({ type, text }) => ({ type, text }));
+              return entry;
+            }
+          }
+        }),
+        movedFrom: para.movedFrom ?? null,
+        movedTo: para.movedTo ?? null
+      };
+      if (para.block) result.block = para.block;
+      if (para.originalBlock) result.originalBlock = para.originalBlock;
+      return result;
+    });
+
+    return {
+      paragraphs,
+      changes: DiffEngine.collectChanges(paragraphs),
+      stats: DiffEngine.calculateStats(paragraphs),
+      options: {
+        ...DiffEngine.defaultOptions,
+        ...Object.fromEntries(Object.entries(data.options).filter(([option]) => Object.hasOwn(DiffEngine.defaultOptions, option)))
+      },
+      truncated: Boolean(data.truncated)
+    };
+  }
+};
+
+// Export for use in other modules
+export { DiffFormat };
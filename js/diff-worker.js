@@ -0,0 +1,44 @@
+/**
+ * Diff Worker
+ * Runs the Tokenizer and DiffEngine pipeline off the main thread: a comparison
+ * of two texts, a cumulative diff of a chain of versions or a three-way merge
+ */
+
+import { DiffEngine } from './diff-engine.js';
+import { VersionHistory } from './version-history.js';
+import { Merge } from './merge.js';
+
+/**
+ * Minimum time between progress messages (ms)
+ */
+const PROGRESS_INTERVAL = 50;
+
+self.addEventListener('message', (e) => {
+  const { jobId, kind, texts, options } = e.data;
+  let lastProgress = 0;
+
+  const onProgress = (done, total) => {
+    const now = Date.now();
+    if (now - lastProgress < PROGRESS_INTERVAL) return;
+    lastProgress = now;
+    self.postMessage({ jobId, type: 'progress', done, total });
+  };
+
+  try {
+    let result;
+    switch (kind) {
+      case 'history':
+        result = VersionHistory.cumulative(texts.versions, options, onProgress);
+        break;
+      case 'merge':
+        result = Merge.merge(texts.base, texts.a, texts.b, options);
+        break;
+      default:
+        result = DiffEngine.compare(texts.original, texts.revised, options, onProgress);
+    }
+
+    self.postMessage({ jobId, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ jobId, type: 'error', message: error.message });
+  }
+});
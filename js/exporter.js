@@ -0,0 +1,757 @@
+/**
+ * Exporter Module
+ * Serializes diff results for export: merged text, unified diff, word diff and
+ * .docx with tracked changes
+ */
+
+import { DiffEngine } from './diff-engine.js';
+import { RichText } from './rich-text.js';
+import { Zip } from './zip.js';
+
+const Exporter = {
+  /**
+   * Default export options
+   */
+  defaultOptions: {
+    context: 3,
+    originalName: 'original',
+    revisedName: 'revised',
+    author: 'Tracker'
+  },
+
+  /**
+   * Text of one side of a paragraph, rebuilt from its operations
+   * @param {Array} operations - Diff operations
+   * @param {string} side - 'original' or 'revised'
+   * @returns {string} Paragraph text
+   */
+  paragraphText(operations, side) {
+    let text = '';
+
+    for (const op of operations) {
+      const word = this.sideWord(op, side);
+      if (word) text += word.text + word.trailingSpace;
+    }
+    return text.trimEnd();
+  },
+
+  /**
+   * Source text of tokens: their text, with the formatting of rich-text
+   * tokens written back as inline Markdown (see RichText)
+   * @param {Array} words - Tokens in order
+   * @returns {string} Text
+   */
+  sourceText(words) {
+    return words.some(word => word.format)
+      ? RichText.serialize(words)
+      : words.map(word => word.text + word.trailingSpace).join('');
+  },
+
+  /**
+   * Source text of one side of a paragraph (see sourceText)
+   * @param {Array} operations - Diff operations
+   * @param {string} side - 'original' or 'revised'
+   * @returns {string} Paragraph source
+   */
+  paragraphSource(operations, side) {
+    return this.sourceText(operations.map(op => this.sideWord(op, side)).filter(Boolean)).trimEnd();
+  },
+
+  /**
+   * Token of an operation on one side, or null when absent on that side
+   * @param {Object} op - Diff operation
+   * @param {string} side - 'original' or 'revised'
+   * @returns {?Object} Token
+   */
+  sideWord(op, side) {
+    if (side === 'original') {
+      if (op.type === 'insert') return null;
+      return op.type === 'modify' ? op.oldWord : op.word;
+    }
+    if (op.type === 'delete') return null;
+    return op.type === 'equal' ? (op.newWord || op.word) : op.word;
+  },
+
+  /**
+   * Wrap block content in its Markdown markup
+   * Plain paragraphs (no block) are returned unchanged.
+   * @param {string} text - Block content
+   * @param {?Object} block - Markdown block metadata
+   * @returns {string} Source text
+   */
+  blockSource(text, block) {
+    if (!block) return text;
+
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${text}`;
+      case 'list':
+        return `${'  '.repeat(block.depth)}${block.marker} ${text}`;
+      case 'code':
+        return `\`\`\`${block.lang}\n${text}\n\`\`\``;
+      case 'quote':
+        return text.split('\n').map(line => `> ${line}`).join('\n');
+      default:
+        return text;
+    }
+  },
+
+  /**
+   * Block metadata of a paragraph on one side
+   * @param {Object} para - Diff paragraph
+   * @param {string} side - 'original' or 'revised'
+   * @returns {?Object} Markdown block metadata
+   */
+  sideBlock(para, side) {
+    return side === 'original' && para.originalBlock ? para.originalBlock : (para.block || null);
+  },
+
+  /**
+   * Rebuild both documents from a diff result
+   * Paragraphs are separated by blank lines and each document ends with a newline.
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @returns {{original: string, revised: string}} Documents
+   */
+  documents(diffResult) {
+    const original = diffResult.paragraphs
+      .filter(para => para.originalIndex !== null)
+      .sort((a, b) => a.originalIndex - b.originalIndex)
+      .map(para => this.blockSource(this.paragraphSource(para.operations, 'original'), this.sideBlock(para, 'original')));
+
+    const revised = diffResult.paragraphs
+      .filter(para => para.revisedIndex !== null)
+      .map(para => this.blockSource(this.paragraphSource(para.operations, 'revised'), this.sideBlock(para, 'revised')));
+
+    return {
+      original: original.length > 0 ? original.join('\n\n') + '\n' : '',
+      revised: revised.length > 0 ? revised.join('\n\n') + '\n' : ''
+    };
+  },
+
+  /**
+   * Paragraphs of the merged result of a review
+   * Undecided changes count as accepted. A paragraph's text follows the
+   * decisions on the runs inside it; a moved paragraph stays at its new
+   * position unless the move is rejected. Paragraphs left empty are dropped.
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Object} [decisions] - Change id to 'accept' or 'reject'
+   * @returns {Array<{text: string, block: ?Object, words: Array}>} Merged paragraphs:
+   *   source text (see sourceText), Markdown block and tokens
+   */
+  mergedParagraphs(diffResult, decisions = {}) {
+    const rejected = id => decisions[id] === 'reject';
+    const changesByParagraph = new Map();
+    for (const change of diffResult.changes) {
+      if (!changesByParagraph.has(change.paragraph)) changesByParagraph.set(change.paragraph, []);
+      changesByParagraph.get(change.paragraph).push(change);
+    }
+
+    const paragraphIndex = new Map(diffResult.paragraphs.map((para, i) => [para, i]));
+    const merged = [];
+
+    for (const { para, origin } of DiffEngine.documentOrder(diffResult)) {
+      const changes = changesByParagraph.get(paragraphIndex.get(para)) || [];
+      const move = changes.find(change => change.type === 'move');
+
+      // A moved paragraph appears at exactly one of its two positions
+      if (move && origin !== rejected(move.id)) continue;
+
+      const words = [];
+      para.operations.forEach((op, i) => {
+        const run = changes.find(change => change.type !== 'move' && i >= change.start && i < change.end);
+        const word = this.sideWord(op, run && rejected(run.id) ? 'original' : 'revised');
+        if (word) words.push(word);
+      });
+
+      // Unchanged empty blocks (e.g. an empty code fence) are kept
+      const text = this.sourceText(words).trimEnd();
+      if (text || !changes.some(change => change.type !== 'move')) {
+        merged.push({ text, block: para.block || null, words });
+      }
+    }
+
+    return merged;
+  },
+
+  /**
+   * Serialize the merged result of a review as text (see mergedParagraphs)
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Object} [decisions] - Change id to 'accept' or 'reject'
+   * @returns {string} Merged text, paragraphs separated by blank lines
+   */
+  toMergedText(diffResult, decisions = {}) {
+    return this.mergedParagraphs(diffResult, decisions)
+      .map(para => this.blockSource(para.text, para.block))
+      .join('\n\n');
+  },
+
+  /**
+   * Serialize a diff result as a unified diff (applicable with `patch`)
+   * Given the source texts the patch is their line diff and applies to them
+   * as they are; otherwise the documents are rebuilt from the result (see
+   * documents()), so the patch applies to the texts with one blank line between paragraphs.
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Object} [options] - {context, originalName, revisedName, texts}; texts
+   *   are the {original, revised} source texts the result was compared from
+   * @returns {string} Unified diff; empty when nothing changed
+   */
+  toUnifiedDiff(diffResult, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const docs = opts.texts || this.documents(diffResult);
+
+    // A last line without a line ending differs from the same line with one
+    const toLines = (text) => {
+      const normalized = text.replace(/\r\n?/g, '\n');
+      const lines = normalized.split('\n');
+      if (normalized.endsWith('\n') || !normalized) lines.pop();
+      return lines.map((line, index) => {
+        const newline = index < lines.length - 1 || normalized.endsWith('\n');
+        return { text: line, key: newline ? `${line}\n` : line, index, newline };
+      });
+    };
+
+    const oldLines = toLines(docs.original);
+    const newLines = toLines(docs.revised);
+    const operations = this.deletesFirst(DiffEngine.myersDiff(oldLines, newLines));
+
+    const hunks = this.groupHunks(operations, opts.context);
+    if (hunks.length === 0) return '';
+
+    let output = `--- ${opts.originalName}\n+++ ${opts.revisedName}\n`;
+
+    for (const hunk of hunks) {
+      output += `@@ -${this.hunkRange(hunk.oldStart, hunk.oldCount)} +${this.hunkRange(hunk.newStart, hunk.newCount)} @@\n`;
+
+      for (const op of hunk.operations) {
+        const prefix = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+        output += `${prefix}${op.word.text}\n`;
+        if (!op.word.newline) output += '\\ No newline at end of file\n';
+      }
+    }
+
+    return output;
+  },
+
+  /**
+   * Reorder each run of changes so its deletions precede its insertions
+   * @param {Array} operations - Line diff operations
+   * @returns {Array} Reordered operations
+   */
+  deletesFirst(operations) {
+    const result = [];
+    let inserts = [];
+
+    for (const op of operations) {
+      if (op.type === 'insert') {
+        inserts.push(op);
+        continue;
+      }
+      if (op.type === 'equal') {
+        result.push(...inserts);
+        inserts = [];
+      }
+      result.push(op);
+    }
+    result.push(...inserts);
+
+    return result;
+  },
+
+  /**
+   * Group line operations into hunks with surrounding context
+   * @param {Array} operations - Line diff operations
+   * @param {number} context - Unchanged lines kept around each change
+   * @returns {Array<{oldStart: number, oldCount: number, newStart: number, newCount: number, operations: Array}>}
+   *   Hunks with 1-based start lines
+   */
+  groupHunks(operations, context) {
+    const hunks = [];
+    let hunk = null;
+    let oldLine = 1;
+    let newLine = 1;
+    let lastChange = -Infinity;
+
+    operations.forEach((op, i) => {
+      if (op.type !== 'equal') {
+        if (!hunk || i - lastChange > 2 * context) {
+          // Start a new hunk with up to `context` lines of leading context;
+          // the gap guarantees these were not trailing context of the last hunk
+          const lead = operations.slice(Math.max(0, i - context), i);
+          hunk = {
+            oldStart: oldLine - lead.length,
+            newStart: newLine - lead.length,
+            oldCount: lead.length,
+            newCount: lead.length,
+            operations: [...lead]
+          };
+          hunks.push(hunk);
+        } else {
+          // Bridge the unchanged lines since the previous change
+          for (const equal of operations.slice(lastChange + context + 1, i)) {
+            hunk.operations.push(equal);
+            hunk.oldCount++;
+            hunk.newCount++;
+          }
+        }
+
+        hunk.operations.push(op);
+        if (op.type === 'delete') hunk.oldCount++;
+        else hunk.newCount++;
+        lastChange = i;
+      } else if (hunk && i - lastChange <= context) {
+        // Trailing context
+        hunk.operations.push(op);
+        hunk.oldCount++;
+        hunk.newCount++;
+      }
+
+      if (op.type !== 'insert') oldLine++;
+      if (op.type !== 'delete') newLine++;
+    });
+
+    return hunks;
+  },
+
+  /**
+   * Format a hunk range; an empty range points at the line before it
+   * @param {number} start - 1-based start line
+   * @param {number} count - Line count
+   * @returns {string} "start,count" or "start"
+   */
+  hunkRange(start, count) {
+    if (count === 0) return `${start - 1},0`;
+    return count === 1 ? `${start}` : `${start},${count}`;
+  },
+
+  /**
+   * Serialize a diff result in the `git diff --word-diff=plain` style
+   * Each changed paragraph is one hunk line with [-deleted-] and {+inserted+}
+   * runs, shown with `context` unchanged paragraphs around it. A moved
+   * paragraph is deleted at its original position and inserted at its new one.
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Object} [options] - {context, originalName, revisedName}
+   * @returns {string} Word diff; empty when nothing changed
+   */
+  toWordDiff(diffResult, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+
+    // One entry per paragraph in reading order, with its line span on each side
+    const entries = [];
+    let oldLine = 1;
+    let newLine = 1;
+
+    for (const { para, origin } of DiffEngine.documentOrder(diffResult)) {
+      const onOriginal = origin || (para.originalIndex !== null && para.movedFrom === null);
+      const onRevised = !origin && para.revisedIndex !== null;
+      let markup;
+
+      if (origin) {
+        markup = this.wrapRun(this.paragraphSource(para.operations, 'original'), '');
+        markup = this.blockSource(markup, this.sideBlock(para, 'original'));
+      } else if (para.movedFrom !== null) {
+        markup = this.wrapRun('', this.paragraphSource(para.operations, 'revised'));
+        markup = this.blockSource(markup, this.sideBlock(para, 'revised'));
+      } else {
+        markup = this.blockSource(this.markupOperations(para.operations), this.sideBlock(para, 'revised'));
+      }
+
+      const oldLines = onOriginal ? this.lineCount(this.paragraphSource(para.operations, 'original')) : 0;
+      const newLines = onRevised ? this.lineCount(this.paragraphSource(para.operations, 'revised')) : 0;
+
+      entries.push({
+        markup,
+        changed: origin || para.movedFrom !== null || para.operations.some(op => this.isChanged(op)),
+        oldStart: oldLine,
+        newStart: newLine,
+        oldLines,
+        newLines
+      });
+
+      // Paragraphs are followed by a blank separator line
+      if (oldLines > 0) oldLine += oldLines + 1;
+      if (newLines > 0) newLine += newLines + 1;
+    }
+
+    // Include changed paragraphs plus context, merging overlapping ranges
+    const included = entries.map(() => false);
+    entries.forEach((entry, i) => {
+      if (!entry.changed) return;
+      for (let j = Math.max(0, i - opts.context); j <= Math.min(entries.length - 1, i + opts.context); j++) {
+        included[j] = true;
+      }
+    });
+
+    let output = '';
+    let i = 0;
+    while (i < entries.length) {
+      if (!included[i]) {
+        i++;
+        continue;
+      }
+
+      const hunk = [];
+      while (i < entries.length && included[i]) hunk.push(entries[i++]);
+
+      const oldCount = this.spanLines(hunk, 'oldLines');
+      const newCount = this.spanLines(hunk, 'newLines');
+      output += `@@ -${this.hunkRange(hunk[0].oldStart, oldCount)} +${this.hunkRange(hunk[0].newStart, newCount)} @@\n`;
+      output += hunk.map(entry => entry.markup).join('\n\n') + '\n';
+    }
+
+    return output ? `--- ${opts.originalName}\n+++ ${opts.revisedName}\n${output}` : '';
+  },
+
+  /**
+   * Whether an operation changes its word: anything but an equal word, or an
+   * equal word whose formatting changed
+   * @param {Object} op - Diff operation
+   * @returns {boolean} True for a change
+   */
+  isChanged(op) {
+    return op.type !== 'equal' || Boolean(op.formatChanged);
+  },
+
+  /**
+   * Mark up one paragraph's operations with [-deleted-] and {+inserted+} runs
+   * Rich-text words are written with their inline Markdown (see sourceText),
+   * so a formatting change shows as a replaced run.
+   * @param {Array} operations - Diff operations
+   * @returns {string} Marked-up paragraph
+   */
+  markupOperations(operations) {
+    let output = '';
+    let i = 0;
+
+    while (i < operations.length) {
+      if (!this.isChanged(operations[i])) {
+        const words = [];
+        while (i < operations.length && !this.isChanged(operations[i])) {
+          words.push(this.sideWord(operations[i++], 'revised'));
+        }
+        output += this.sourceText(words);
+        continue;
+      }
+
+      // A run of changes: deleted text first, then inserted text
+      const deleted = [];
+      const inserted = [];
+      let trailing = '';
+      while (i < operations.length && this.isChanged(operations[i])) {
+        const oldWord = this.sideWord(operations[i], 'original');
+        const newWord = this.sideWord(operations[i], 'revised');
+        if (oldWord) deleted.push(oldWord);
+        if (newWord) inserted.push(newWord);
+        trailing = (newWord || oldWord).trailingSpace;
+        i++;
+      }
+
+      output += this.wrapRun(this.sourceText(deleted).trimEnd(), this.sourceText(inserted).trimEnd()) + trailing;
+    }
+
+    return output.trimEnd();
+  },
+
+  /**
+   * Wrap a replaced run as [-deleted-]{+inserted+}, omitting empty sides
+   * @param {string} deleted - Deleted text
+   * @param {string} inserted - Inserted text
+   * @returns {string} Markup
+   */
+  wrapRun(deleted, inserted) {
+    return (deleted ? `[-${deleted}-]` : '') + (inserted ? `{+${inserted}+}` : '');
+  },
+
+  /**
+   * Number of lines in a text
+   * @param {string} text - Text
+   * @returns {number} Line count
+   */
+  lineCount(text) {
+    return text.split('\n').length;
+  },
+
+  /**
+   * Lines spanned by consecutive paragraphs on one side, including blank separators
+   * @param {Array} entries - Word diff entries
+   * @param {string} field - 'oldLines' or 'newLines'
+   * @returns {number} Line count
+   */
+  spanLines(entries, field) {
+    const present = entries.filter(entry => entry[field] > 0);
+    if (present.length === 0) return 0;
+    return present.reduce((sum, entry) => sum + entry[field], 0) + present.length - 1;
+  },
+
+  /**
+   * Serialize a diff result as a Word document with tracked changes
+   * Inserted and deleted words become w:ins / w:del revisions, added and
+   * removed paragraphs carry revision marks on their paragraph mark, and moved
+   * paragraphs become w:moveFrom / w:moveTo ranges (edits inside a moved
+   * paragraph are tracked as insertions at its new position). Accepting every
+   * change yields the revised text; rejecting every change yields the original.
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Object} [options] - {author, date}
+   * @returns {Uint8Array} .docx file bytes
+   */
+  toDocx(diffResult, options = {}) {
+    const opts = { ...this.defaultOptions, ...options };
+    const revisions = {
+      nextId: 1,
+      author: this.escapeXml(opts.author),
+      date: (opts.date || new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z')
+    };
+
+    const moveNames = new Map();
+    const paragraphs = DiffEngine.documentOrder(diffResult).map(({ para, origin }) => {
+      if (origin || para.movedFrom !== null) {
+        if (!moveNames.has(para)) moveNames.set(para, `move${moveNames.size + 1}`);
+        const moveName = moveNames.get(para);
+
+        if (origin) {
+          const text = this.paragraphText(para.operations, 'original');
+          return this.docxParagraph([{ kind: 'moveFrom', text }], this.sideBlock(para, 'original'), 'moveFrom', revisions, moveName);
+        }
+        const segments = this.docxSegments(para.operations, { equal: 'moveTo', insert: 'insert', delete: null });
+        return this.docxParagraph(segments, this.sideBlock(para, 'revised'), 'moveTo', revisions, moveName);
+      }
+
+      if (para.revisedIndex === null) {
+        const text = this.paragraphText(para.operations, 'original');
+        return this.docxParagraph([{ kind: 'delete', text }], this.sideBlock(para, 'original'), 'delete', revisions);
+      }
+      if (para.originalIndex === null) {
+        const text = this.paragraphText(para.operations, 'revised');
+        return this.docxParagraph([{ kind: 'insert', text }], this.sideBlock(para, 'revised'), 'insert', revisions);
+      }
+
+      const segments = this.docxSegments(para.operations, { equal: 'equal', insert: 'insert', delete: 'delete' });
+      return this.docxParagraph(segments, this.sideBlock(para, 'revised'), 'equal', revisions, null, para.originalBlock);
+    });
+
+    return Zip.create([
+      { name: '[Content_Types].xml', data: this.docxParts.contentTypes },
+      { name: '_rels/.rels', data: this.docxParts.rootRels },
+      { name: 'word/_rels/document.xml.rels', data: this.docxParts.documentRels },
+      { name: 'word/document.xml', data: this.docxDocument(paragraphs.join('')) },
+      { name: 'word/styles.xml', data: this.docxParts.styles },
+      { name: 'word/settings.xml', data: this.docxParts.settings }
+    ]);
+  },
+
+  /**
+   * Turn paragraph operations into runs of text tagged with a revision kind
+   * A modified word is its deleted old form followed by its inserted new form,
+   * with the whitespace after it left untracked.
+   * @param {Array} operations - Diff operations
+   * @param {Object} kinds - Revision kind for equal/insert/delete text; null drops the text
+   * @returns {Array<{kind: string, text: string}>} Merged segments
+   */
+  docxSegments(operations, kinds) {
+    const segments = [];
+    const push = (kind, text) => {
+      if (!kind || !text) return;
+      const last = segments[segments.length - 1];
+      if (last && last.kind === kind) last.text += text;
+      else segments.push({ kind, text });
+    };
+
+    for (const op of operations) {
+      if (op.type === 'equal') {
+        const word = op.newWord || op.word;
+        push(kinds.equal, word.text + word.trailingSpace);
+      } else if (op.type === 'insert') {
+        push(kinds.insert, op.word.text + op.word.trailingSpace);
+      } else if (op.type === 'delete') {
+        push(kinds.delete, op.word.text + op.word.trailingSpace);
+      } else {
+        push(kinds.delete, op.oldWord.text);
+        push(kinds.insert, op.word.text);
+        push(kinds.equal, op.word.trailingSpace);
+      }
+    }
+
+    // Drop whitespace trailing the paragraph
+    while (segments.length > 0) {
+      const last = segments[segments.length - 1];
+      last.text = last.text.trimEnd();
+      if (last.text) break;
+      segments.pop();
+    }
+    return segments;
+  },
+
+  /**
+   * Build a w:p element
+   * @param {Array<{kind: string, text: string}>} segments - Paragraph content
+   * @param {?Object} block - Markdown block metadata
+   * @param {string} markKind - Revision on the paragraph mark: 'equal', 'insert',
+   *   'delete', 'moveFrom' or 'moveTo'
+   * @param {Object} revisions - Revision id counter, author and date
+   * @param {string} [moveName] - Move name linking a moveFrom range to its moveTo range
+   * @param {Object} [originalBlock] - Original block metadata when the block's markup
+   *   changed; tracked as a paragraph formatting change
+   * @returns {string} WordprocessingML paragraph
+   */
+  docxParagraph(segments, block, markKind, revisions, moveName = null, originalBlock = null) {
+    const markTags = { insert: 'w:ins', delete: 'w:del', moveFrom: 'w:moveFrom', moveTo: 'w:moveTo' };
+    const markTag = markTags[markKind];
+
+    let properties = this.docxBlockProperties(block);
+    if (markTag) properties += `<w:rPr><${markTag} ${this.revisionAttributes(revisions)}/></w:rPr>`;
+    if (originalBlock) {
+      properties += `<w:pPrChange ${this.revisionAttributes(revisions)}>` +
+        `<w:pPr>${this.docxBlockProperties(originalBlock)}</w:pPr></w:pPrChange>`;
+    }
+
+    // A rule is only its border; list markers are plain text, tracked like the paragraph they start
+    if (block && block.type === 'rule') {
+      segments = [];
+    } else if (block && block.type === 'list') {
+      segments = [{ kind: markKind, text: `${block.ordered ? block.marker : '\u2022'}\t` }, ...segments];
+    }
+
+    let content = segments.map(segment => {
+      const tag = markTags[segment.kind];
+      const runs = this.docxRuns(segment.text, segment.kind === 'delete');
+      return tag ? `<${tag} ${this.revisionAttributes(revisions)}>${runs}</${tag}>` : runs;
+    }).join('');
+
+    if (moveName) {
+      const rangeId = revisions.nextId;
+      content = `<${markTag}RangeStart ${this.revisionAttributes(revisions)} w:name="${moveName}"/>` +
+        content + `<${markTag}RangeEnd w:id="${rangeId}"/>`;
+    }
+
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+  },
+
+  /**
+   * Paragraph properties for a Markdown block
+   * @param {?Object} block - Markdown block metadata
+   * @returns {string} w:pPr children (without the paragraph mark run properties)
+   */
+  docxBlockProperties(block) {
+    if (!block) return '';
+
+    switch (block.type) {
+      case 'heading':
+        return `<w:pStyle w:val="Heading${block.level}"/>`;
+      case 'list':
+        return `<w:pStyle w:val="ListParagraph"/><w:ind w:left="${360 * (block.depth + 2)}" w:hanging="360"/>`;
+      case 'code':
+      case 'table':
+        return '<w:pStyle w:val="Code"/>';
+      case 'quote':
+        return '<w:pStyle w:val="Quote"/>';
+      case 'rule':
+        return '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>';
+      default:
+        return '';
+    }
+  },
+
+  /**
+   * Build w:r runs for text, turning newlines into breaks and tabs into tab stops
+   * @param {string} text - Run text
+   * @param {boolean} deleted - Use w:delText (inside w:del)
+   * @returns {string} WordprocessingML runs
+   */
+  docxRuns(text, deleted) {
+    const textTag = deleted ? 'w:delText' : 'w:t';
+    const parts = text.split(/(\n|\t)/).filter(part => part.length > 0).map(part => {
+      if (part === '\n') return '<w:br/>';
+      if (part === '\t') return '<w:tab/>';
+      return `<${textTag} xml:space="preserve">${this.escapeXml(part)}</${textTag}>`;
+    });
+    return parts.length > 0 ? `<w:r>${parts.join('')}</w:r>` : '';
+  },
+
+  /**
+   * Attributes for the next revision: id, author and date
+   * @param {Object} revisions - Revision id counter, author and date
+   * @returns {string} Attribute string
+   */
+  revisionAttributes(revisions) {
+    return `w:id="${revisions.nextId++}" w:author="${revisions.author}" w:date="${revisions.date}"`;
+  },
+
+  /**
+   * Wrap body paragraphs in the main document part
+   * @param {string} body - w:p elements
+   * @returns {string} word/document.xml
+   */
+  docxDocument(body) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${body}<w:sectPr/></w:body></w:document>`;
+  },
+
+  /**
+   * Escape text for XML content and attribute values
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  },
+
+  /**
+   * Static .docx package parts
+   */
+  docxParts: {
+    contentTypes: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      '<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>' +
+      '</Types>',
+
+    rootRels: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '</Relationships>',
+
+    documentRels: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>' +
+      '</Relationships>',
+
+    // Keep tracking on so the recipient's own edits are tracked too
+    settings: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      '<w:trackRevisions/>' +
+      '</w:settings>',
+
+    styles: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      '<w:docDefaults><w:rPrDefault><w:rPr><w:sz w:val="24"/></w:rPr></w:rPrDefault>' +
+      '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+      '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+      [1, 2, 3, 4, 5, 6].map(level =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/>` +
+        '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+        `<w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+        `<w:rPr><w:b/><w:sz w:val="${[36, 32, 28, 26, 24, 24][level - 1]}"/></w:rPr></w:style>`
+      ).join('') +
+      '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/>' +
+      '<w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style>' +
+      '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+      '<w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>' +
+      '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/>' +
+      '<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/></w:pPr>' +
+      '<w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr></w:style>' +
+      '</w:styles>'
+  }
+};
+
+// Export for use in other modules
+export { Exporter };
@@ -0,0 +1,292 @@
+/**
+ * Importer Module
+ * Extracts paragraph text from .docx, .odt, HTML and plain-text files
+ */
+
+import { Zip } from './zip.js';
+import { RichText } from './rich-text.js';
+
+const Importer = {
+  /**
+   * File types offered by the file picker
+   */
+  accept: '.docx,.odt,.html,.htm,.txt,.md,.markdown,text/plain,text/html',
+
+  /**
+   * Elements that start a new paragraph when extracting HTML text
+   */
+  htmlBlocks: new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN',
+    'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+  ]),
+
+  /**
+   * Read a file as text with one blank line between paragraphs
+   * The format is chosen by file extension, falling back to the MIME type.
+   * @param {File} file - File from a file input or drop
+   * @param {Object} [options] - {formatting: keep HTML inline formatting (see extractHtml)}
+   * @returns {Promise<string>} Extracted text
+   */
+  async readFile(file, options = {}) {
+    const extension = (file.name.match(/\.([^.]+)$/) || ['', ''])[1].toLowerCase();
+
+    if (extension === 'docx') {
+      return this.extractDocx(new Uint8Array(await file.arrayBuffer()));
+    }
+    if (extension === 'odt') {
+      return this.extractOdt(new Uint8Array(await file.arrayBuffer()));
+    }
+    if (extension === 'html' || extension === 'htm' || file.type === 'text/html') {
+      return this.extractHtml(await file.text(), options);
+    }
+    if (extension === 'pdf' || file.type === 'application/pdf') {
+      throw new Error('PDF files cannot be read directly; import the text extracted from the PDF instead');
+    }
+    if (extension === 'doc' || extension === 'rtf') {
+      throw new Error(`.${extension} files are not supported; save the document as .docx first`);
+    }
+
+    return (await file.text()).replace(/\r\n?/g, '\n');
+  },
+
+  /**
+   * Extract text from a Word document
+   * Tracked changes are read as accepted: inserted text is kept, deleted and
+   * moved-away text is dropped. Table rows become paragraphs with tab-separated cells.
+   * Drawing fallbacks are skipped so text boxes are not read twice.
+   * @param {Uint8Array} bytes - .docx file bytes
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractDocx(bytes) {
+    const xml = await Zip.extract(bytes, 'word/document.xml');
+    if (!xml) throw new Error('Not a Word document: word/document.xml is missing');
+
+    const doc = this.parseXml(xml);
+    const body = doc.getElementsByTagNameNS('*', 'body')[0];
+    if (!body) return '';
+
+    const paragraphs = [];
+    const runText = (node) => {
+      let text = '';
+      for (const child of node.children) {
+        switch (child.localName) {
+          case 't':
+            text += child.textContent;
+            break;
+          case 'tab':
+            text += '\t';
+            break;
+          case 'br':
+          case 'cr':
+            text += '\n';
+            break;
+          case 'del':
+          case 'moveFrom':
+          case 'delText':
+          case 'instrText':
+          case 'Fallback':
+          case 'pPr':
+          case 'rPr':
+            break;
+          default:
+            text += runText(child);
+        }
+      }
+      return text;
+    };
+
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (child.localName === 'p') {
+          paragraphs.push(runText(child));
+        } else if (child.localName === 'tbl') {
+          for (const row of child.getElementsByTagNameNS('*', 'tr')) {
+            const cells = Array.from(row.getElementsByTagNameNS('*', 'tc'), cell =>
+              Array.from(cell.getElementsByTagNameNS('*', 'p'), runText).join(' ').trim());
+            paragraphs.push(cells.join('\t'));
+          }
+        } else if (child.localName !== 'del' && child.localName !== 'moveFrom') {
+          // Content controls, custom XML and other wrappers
+          walk(child);
+        }
+      }
+    };
+    walk(body);
+
+    return this.joinParagraphs(paragraphs);
+  },
+
+  /**
+   * Extract text from an OpenDocument text file
+   * Tracked deletions are kept in a separate change list, which is skipped.
+   * @param {Uint8Array} bytes - .odt file bytes
+   * @returns {Promise<string>} Extracted text
+   */
+  async extractOdt(bytes) {
+    const xml = await Zip.extract(bytes, 'content.xml');
+    if (!xml) throw new Error('Not an OpenDocument file: content.xml is missing');
+
+    const doc = this.parseXml(xml);
+    const body = doc.getElementsByTagNameNS('urn:oasis:names:tc:opendocument:xmlns:office:1.0', 'text')[0];
+    if (!body) return '';
+
+    const paragraphs = [];
+    const inlineText = (node) => {
+      let text = '';
+      for (const child of node.childNodes) {
+        if (child.nodeType === 3) {
+          text += child.nodeValue;
+          continue;
+        }
+        if (child.nodeType !== 1) continue;
+
+        switch (child.localName) {
+          case 's':
+            text += ' '.repeat(parseInt(child.getAttributeNS(child.namespaceURI, 'c'), 10) || 1);
+            break;
+          case 'tab':
+            text += '\t';
+            break;
+          case 'line-break':
+            text += '\n';
+            break;
+          case 'note':
+          case 'tracked-changes':
+            break;
+          default:
+            text += inlineText(child);
+        }
+      }
+      return text;
+    };
+
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (child.localName === 'p' || child.localName === 'h') {
+          paragraphs.push(inlineText(child));
+        } else if (child.localName === 'table-row') {
+          const cells = Array.from(child.children)
+            .filter(cell => cell.localName === 'table-cell')
+            .map(cell => Array.from(cell.children).map(inlineText).join(' ').trim());
+          paragraphs.push(cells.join('\t'));
+        } else if (child.localName !== 'tracked-changes') {
+          walk(child);
+        }
+      }
+    };
+    walk(body);
+
+    return this.joinParagraphs(paragraphs);
+  },
+
+  /**
+   * Extract text from an HTML document
+   * Block elements become paragraphs, <br> becomes a line break and
+   * whitespace is collapsed except inside <pre>. With the formatting option,
+   * bold, italic, strikethrough, code and links outside <pre> are kept as
+   * inline Markdown (see RichText).
+   * @param {string} html - HTML source
+   * @param {Object} [options] - {formatting: boolean}
+   * @returns {string} Extracted text
+   */
+  extractHtml(html, options = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const paragraphs = [];
+    let segments = [];
+
+    // Trim the spaces left around <br> line breaks; <pre> text is kept as is
+    const flush = (pre) => {
+      const text = options.formatting && !pre
+        ? RichText.serialize(segments)
+        : segments.map(segment => segment.text).join('');
+      paragraphs.push(pre ? text : text.split('\n').map(line => line.trim()).join('\n'));
+      segments = [];
+    };
+
+    const walk = (node, pre, format) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === 3) {
+          segments.push({ text: pre ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' '), format });
+          continue;
+        }
+        if (child.nodeType !== 1) continue;
+
+        const tag = child.tagName;
+        if (tag === 'SCRIPT' || tag === 'STYLE' || tag === 'TEMPLATE' || tag === 'NOSCRIPT') continue;
+
+        if (tag === 'BR') {
+          segments.push({ text: '\n', format });
+        } else if (tag === 'TD' || tag === 'TH') {
+          if (segments.some(segment => segment.text.trim())) segments.push({ text: '\t', format: {} });
+          walk(child, pre, format);
+        } else if (this.htmlBlocks.has(tag)) {
+          flush(pre);
+          walk(child, pre || tag === 'PRE', format);
+          flush(pre || tag === 'PRE');
+        } else {
+          walk(child, pre, options.formatting && !pre ? this.htmlFormat(child, format) : format);
+        }
+      }
+    };
+    walk(doc.body || doc.documentElement, false, {});
+    flush(false);
+
+    return this.joinParagraphs(paragraphs);
+  },
+
+  /**
+   * Inline formatting of an HTML element (see RichText), from its tag and
+   * inline style; a style can also switch formatting off, as in the
+   * <b style="font-weight:normal"> wrapper of text copied from Google Docs
+   * @param {Element} element - Inline element
+   * @param {Object} format - Formatting of its parent
+   * @returns {Object} Formatting of its content
+   */
+  htmlFormat(element, format) {
+    const tag = element.tagName;
+    const style = element.style || {};
+    const weight = style.fontWeight || '';
+    const decoration = `${style.textDecoration || ''} ${style.textDecorationLine || ''}`;
+    const result = { ...format };
+
+    if (tag === 'B' || tag === 'STRONG' || weight === 'bold' || weight === 'bolder' || Number(weight) >= 600) result.bold = true;
+    if (weight === 'normal' || (Number(weight) > 0 && Number(weight) < 600)) delete result.bold;
+    if (tag === 'I' || tag === 'EM' || style.fontStyle === 'italic' || style.fontStyle === 'oblique') result.italic = true;
+    if (style.fontStyle === 'normal') delete result.italic;
+    if (tag === 'S' || tag === 'DEL' || tag === 'STRIKE' || decoration.includes('line-through')) result.strike = true;
+    if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP') result.code = true;
+    if (tag === 'A' && element.getAttribute('href')) result.link = element.getAttribute('href');
+    return result;
+  },
+
+  /**
+   * Parse XML bytes into a document
+   * @param {Uint8Array} bytes - UTF-8 XML
+   * @returns {Document} Parsed document
+   */
+  parseXml(bytes) {
+    const doc = new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The document XML could not be parsed');
+    }
+    return doc;
+  },
+
+  /**
+   * Join paragraphs with blank lines, dropping empty ones
+   * Non-breaking spaces become spaces, and blank lines inside a paragraph
+   * (which would split it) are collapsed.
+   * @param {string[]} paragraphs - Paragraph texts
+   * @returns {string} Text
+   */
+  joinParagraphs(paragraphs) {
+    return paragraphs
+      .map(paragraph => paragraph.replace(/\u00A0/g, ' ').replace(/\n\s*\n/g, '\n').trim())
+      .filter(paragraph => paragraph.length > 0)
+      .join('\n\n');
+  }
+};
+
+// Export for use in other modules
+export { Importer };
@@ -0,0 +1,17 @@
+/**
+ * Package Entry
+ * The modules that work without a browser page: tokenizing, diffing, version
+ * histories, three-way merges, the JSON diff format, and rendering,
+ * exporting or reporting the results
+ */
+
+export { Tokenizer } from './tokenizer.js';
+export { RichText } from './rich-text.js';
+export { DiffEngine } from './diff-engine.js';
+export { DiffFormat } from './diff-format.js';
+export { VersionHistory } from './version-history.js';
+export { Merge } from './merge.js';
+export { Renderer } from './renderer.js';
+export { Exporter } from './exporter.js';
+export { Report } from './report.js';
+export { Zip } from './zip.js';
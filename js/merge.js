@@ -0,0 +1,224 @@
+/**
+ * Merge Module
+ * Three-way merge of two revisions (A and B) of a common base text.
+ * Each revision is diffed against the base with DiffEngine; changes that do
+ * not overlap are merged automatically and overlapping ones become conflicts.
+ */
+
+import { Tokenizer } from './tokenizer.js';
+import { DiffEngine } from './diff-engine.js';
+
+const Merge = {
+  /**
+   * Key of the token that separates paragraphs in a merged token stream
+   */
+  breakKey: '\u0000¶',
+
+  /**
+   * Merge two revisions of a base text
+   * Whole documents are diffed as one token stream with a token between
+   * paragraphs, so changes that join, split or add paragraphs merge too.
+   * Differences ignored by the options are not merged: unchanged text keeps its base form.
+   * Rich text is merged as its source, inline Markdown included (richText is ignored).
+   * @param {string} baseText - Common ancestor
+   * @param {string} textA - First revision
+   * @param {string} textB - Second revision
+   * @param {Object} [options] - Comparison options (see DiffEngine.defaultOptions)
+   * @returns {{chunks: Array<Object>, conflicts: number, truncated: boolean}} Merge result;
+   *   chunks are {type: 'stable', tokens}, {type: 'change', side: 'a'|'b'|'both', base, tokens}
+   *   or {type: 'conflict', id, base, a, b}
+   */
+  merge(baseText, textA, textB, options = {}) {
+    const opts = { ...DiffEngine.defaultOptions, ...options, richText: false };
+    const budget = DiffEngine.createBudget(opts);
+    const base = this.tokenize(baseText, opts);
+
+    const hunks = [
+      ...this.hunks(DiffEngine.myersDiff(base, this.tokenize(textA, opts), budget)).map(hunk => ({ ...hunk, side: 'a' })),
+      ...this.hunks(DiffEngine.myersDiff(base, this.tokenize(textB, opts), budget)).map(hunk => ({ ...hunk, side: 'b' }))
+    ].sort((x, y) => x.start - y.start || (x.side < y.side ? -1 : 1));
+
+    // Overlapping hunks, and insertions at the same place, are merged as one group
+    const groups = [];
+    for (const hunk of hunks) {
+      const group = groups[groups.length - 1];
+      if (group && (hunk.start < group.end || hunk.start === group.start)) {
+        group.hunks.push(hunk);
+        group.end = Math.max(group.end, hunk.end);
+      } else {
+        groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+      }
+    }
+
+    const chunks = [];
+    let position = 0;
+    let conflicts = 0;
+
+    for (const group of groups) {
+      if (position < group.start) chunks.push({ type: 'stable', tokens: base.slice(position, group.start) });
+
+      const baseTokens = base.slice(group.start, group.end);
+      const sides = new Set(group.hunks.map(hunk => hunk.side));
+
+      if (sides.size === 1) {
+        const [side] = sides;
+        chunks.push({ type: 'change', side, base: baseTokens, tokens: this.applyHunks(base, group, side) });
+      } else {
+        const a = this.applyHunks(base, group, 'a');
+        const b = this.applyHunks(base, group, 'b');
+        if (this.sameTokens(a, b)) {
+          chunks.push({ type: 'change', side: 'both', base: baseTokens, tokens: a });
+        } else {
+          chunks.push({ type: 'conflict', id: conflicts++, base: baseTokens, a, b });
+        }
+      }
+      position = group.end;
+    }
+
+    if (position < base.length) chunks.push({ type: 'stable', tokens: base.slice(position) });
+
+    return { chunks, conflicts, truncated: budget.truncated };
+  },
+
+  /**
+   * Tokenize a document into one stream, with a break token between paragraphs
+   * @param {string} text - Document text
+   * @param {Object} opts - Comparison options
+   * @returns {Array} Tokens
+   */
+  tokenize(text, opts) {
+    const tokens = [];
+    Tokenizer.splitParagraphs(text).forEach((paragraph, index) => {
+      if (index > 0) tokens.push({ text: '', trailingSpace: '', key: this.breakKey, paragraphBreak: true });
+      tokens.push(...DiffEngine.tokenize(paragraph, opts));
+    });
+    return tokens;
+  },
+
+  /**
+   * Collect the changes of a diff against the base as hunks
+   * @param {Array} operations - Diff operations (base → revision)
+   * @returns {Array<{start: number, end: number, tokens: Array}>} Hunks replacing
+   *   base tokens start to end (exclusive) with tokens
+   */
+  hunks(operations) {
+    const hunks = [];
+    let position = 0;
+    let hunk = null;
+
+    for (const op of operations) {
+      if (op.type === 'equal') {
+        hunk = null;
+        position++;
+        continue;
+      }
+
+      if (!hunk) {
+        hunk = { start: position, end: position, tokens: [] };
+        hunks.push(hunk);
+      }
+      if (op.type === 'delete') {
+        hunk.end++;
+        position++;
+      } else {
+        hunk.tokens.push(op.word);
+      }
+    }
+    return hunks;
+  },
+
+  /**
+   * One side's version of a group's base range
+   * @param {Array} base - Base tokens
+   * @param {Object} group - Hunk group {start, end, hunks}
+   * @param {string} side - 'a' or 'b'
+   * @returns {Array} Tokens
+   */
+  applyHunks(base, group, side) {
+    const tokens = [];
+    let position = group.start;
+
+    for (const hunk of group.hunks) {
+      if (hunk.side !== side) continue;
+      tokens.push(...base.slice(position, hunk.start), ...hunk.tokens);
+      position = hunk.end;
+    }
+    tokens.push(...base.slice(position, group.end));
+    return tokens;
+  },
+
+  /**
+   * Whether two token lists compare equal
+   * @param {Array} a - Tokens
+   * @param {Array} b - Tokens
+   * @returns {boolean} True when the keys match
+   */
+  sameTokens(a, b) {
+    return a.length === b.length && a.every((token, i) => token.key === b[i].key);
+  },
+
+  /**
+   * Tokens of the merged document
+   * Unresolved conflicts are written with conflict markers showing both alternatives.
+   * @param {Object} result - Merge result
+   * @param {Object} resolutions - Conflict id to 'a', 'b', 'both' or 'base'
+   * @returns {Array} Tokens; marker tokens have marker: true
+   */
+  mergedTokens(result, resolutions) {
+    const marker = (text) => ({ text, trailingSpace: '', marker: true });
+    const tokens = [];
+
+    for (const chunk of result.chunks) {
+      if (chunk.type !== 'conflict') {
+        tokens.push(...chunk.tokens);
+        continue;
+      }
+
+      switch (resolutions[chunk.id]) {
+        case 'a':
+          tokens.push(...chunk.a);
+          break;
+        case 'b':
+          tokens.push(...chunk.b);
+          break;
+        case 'both':
+          tokens.push(...chunk.a, ...chunk.b);
+          break;
+        case 'base':
+          tokens.push(...chunk.base);
+          break;
+        default:
+          tokens.push(marker('<<<<<<< A'), ...chunk.a, marker('||||||| Base'), ...chunk.base,
+            marker('======='), ...chunk.b, marker('>>>>>>> B'));
+      }
+    }
+    return tokens;
+  },
+
+  /**
+   * Text of the merged document
+   * @param {Object} result - Merge result
+   * @param {Object} [resolutions] - Conflict id to 'a', 'b', 'both' or 'base'
+   * @returns {string} Merged text, paragraphs separated by blank lines
+   */
+  toText(result, resolutions = {}) {
+    let text = '';
+
+    for (const token of this.mergedTokens(result, resolutions)) {
+      if (token.paragraphBreak) {
+        text = `${text.trimEnd()}\n\n`;
+      } else if (token.marker) {
+        // Markers go on lines of their own
+        text = `${text.trimEnd()}${text.trim() ? '\n' : ''}${token.text}\n`;
+      } else {
+        text += token.text + token.trailingSpace;
+      }
+    }
+
+    const merged = text.trim();
+    return merged ? `${merged}\n` : '';
+  }
+};
+
+// Export for use in other modules
+export { Merge };
@@ -1,7 +1,14 @@
 /**
  * Renderer Module
- * Handles HTML rendering for diff output, statistics, and legend
+ * Handles HTML rendering for diff output, statistics, legend and summary
  */
+
+import { Tokenizer } from './tokenizer.js';
+import { DiffEngine } from './diff-engine.js';
+import { VersionHistory } from './version-history.js';
+import { Exporter } from './exporter.js';
+import { RichText } from './rich-text.js';
+
 const Renderer = {
   /**
    * Escape HTML characters to prevent XSS
@@ -9,18 +16,27 @@ const Renderer = {
    * @returns {string} Escaped HTML
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  },
+
+  /**
+   * Escape text for use in a double-quoted HTML attribute
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
   },
 
   /**
    * Render diff result to HTML
+   * In visible and split mode every change gets accept/reject controls.
    * @param {Object} diffResult - Diff result from DiffEngine
-   * @param {string} mode - Display mode: 'visible' or 'hidden'
+   * @param {string} mode - Display mode: 'visible', 'hidden', 'split' or 'result'
+   * @param {Object} [decisions] - Change id to 'accept' or 'reject'
    * @returns {string} HTML string
    */
-  renderDiff(diffResult, mode = 'visible') {
+  renderDiff(diffResult, mode = 'visible', decisions = {}) {
     if (!diffResult || diffResult.paragraphs.length === 0) {
       return `
         <div class="empty-state">
@@ -30,9 +46,13 @@ const Renderer = {
       `;
     }
 
+    if (mode === 'result') {
+      return this.renderResult(diffResult, decisions);
+    }
+
     // Check if there are any changes
     const hasChanges = diffResult.paragraphs.some(para =>
-      para.operations.some(op => op.type !== 'equal') ||
+      para.operations.some(op => op.type !== 'equal' || op.formatChanged) ||
       para.movedFrom !== null
     );
 
@@ -42,58 +62,696 @@ const Renderer = {
 
     let html = '';
 
-    for (const para of diffResult.paragraphs) {
+    if (diffResult.truncated) {
+      html += '<div class="diff-notice">Approximate diff — the documents are too different to compare exactly within the time budget</div>';
+    }
+
+    const changesByParagraph = this.changesByParagraph(diffResult.changes);
+
+    if (mode === 'split') {
+      return html + this.renderSplit(diffResult, changesByParagraph, decisions);
+    }
+
+    const indices = new Map(diffResult.paragraphs.map((para, index) => [para, index]));
+
+    for (const { para, origin } of DiffEngine.documentOrder(diffResult)) {
+      const index = indices.get(para);
+      const changes = changesByParagraph.get(index) || [];
       let paraClass = 'diff-paragraph';
       let movedIndicator = '';
 
-      // Create clearer moved paragraph indicator
       if (para.movedFrom !== null) {
-        paraClass += ' paragraph-moved';
-        movedIndicator = `
-          <span class="moved-indicator">
-            <span class="moved-indicator-icon"></span>
-            Moved paragraph — was at position ${para.movedFrom + 1}
-          </span>
-        `;
+        const move = changes.find(change => change.type === 'move');
+        if (origin) {
+          html += this.renderMoveOrigin(para, index, move, decisions);
+          continue;
+        }
+        paraClass += ` paragraph-moved ${this.changeClass(decisions[move.id])}`;
+        movedIndicator = this.renderMovedIndicator(para, index, move, mode === 'visible' ? decisions : null);
       }
 
-      let content = movedIndicator;
+      const runs = changes.filter(change => change.type !== 'move');
+      const content = this.renderOperations(para.operations, mode, runs, decisions);
+      html += this.renderBlock(para, paraClass, movedIndicator, content);
+    }
+
+    return html;
+  },
+
+  /**
+   * Group changes by the index of their paragraph
+   * @param {Array} changes - Changes from DiffEngine.collectChanges
+   * @returns {Map<number, Array>} Paragraph index to its changes
+   */
+  changesByParagraph(changes) {
+    const byParagraph = new Map();
+    for (const change of changes) {
+      if (!byParagraph.has(change.paragraph)) byParagraph.set(change.paragraph, []);
+      byParagraph.get(change.paragraph).push(change);
+    }
+    return byParagraph;
+  },
 
-      // Track consecutive deletions for hidden mode
-      let pendingDeletions = 0;
+  /**
+   * Render the indicator shown on a moved paragraph at its destination
+   * Its position links back to the placeholder left at the origin.
+   * @param {Object} para - Moved diff paragraph
+   * @param {number} index - Paragraph index in the diff result
+   * @param {Object} move - Its move change
+   * @param {?Object} decisions - Change id to 'accept' or 'reject'; null to omit the controls
+   * @returns {string} HTML string
+   */
+  renderMovedIndicator(para, index, move, decisions) {
+    const edited = para.operations.some(op => op.type !== 'equal' || op.formatChanged);
+    return `
+      <span class="moved-indicator" data-change="${move.id}" data-move="${index}">
+        <span class="moved-indicator-icon"></span>
+        ${edited ? 'Moved and edited paragraph' : 'Moved paragraph'} —
+        <button type="button" class="move-link" data-move-jump="origin" data-move="${index}" title="Go to the original position">was at position ${para.movedFrom + 1}</button>
+        ${decisions ? this.renderChangeControls(move.id, decisions[move.id]) : ''}
+      </span>
+    `;
+  },
 
-      for (const op of para.operations) {
-        if (mode === 'hidden' && op.type === 'delete') {
-          pendingDeletions++;
+  /**
+   * Render the link from a moved paragraph's original position to its destination
+   * @param {number} index - Paragraph index in the diff result
+   * @param {Object} para - Moved diff paragraph
+   * @returns {string} HTML string
+   */
+  renderMoveLink(index, para) {
+    return `<button type="button" class="move-link" data-move-jump="destination" data-move="${index}" title="Go to the moved paragraph">` +
+      `Moved to position ${para.movedTo + 1} &rarr;</button>`;
+  },
+
+  /**
+   * Render the placeholder left where a moved paragraph used to be
+   * @param {Object} para - Moved diff paragraph
+   * @param {number} index - Paragraph index in the diff result
+   * @param {Object} move - Its move change
+   * @param {Object} decisions - Change id to 'accept' or 'reject'
+   * @returns {string} HTML string
+   */
+  renderMoveOrigin(para, index, move, decisions) {
+    const text = Exporter.paragraphText(para.operations, 'original');
+    const excerpt = text.length > 80 ? `${text.slice(0, 80).trimEnd()}…` : text;
+    return `<div class="move-origin ${this.changeClass(decisions[move.id])}" data-move="${index}">` +
+      `${this.renderMoveLink(index, para)}<span class="move-origin-excerpt">${this.escapeHtml(excerpt)}</span></div>`;
+  },
+
+  /**
+   * Render the side-by-side view: one row per aligned paragraph, the original
+   * in the left column and the revised text in the right. Both columns share
+   * one scroll container, so rows stay aligned and scroll together.
+   * A moved paragraph gets two rows: its original text at the origin and its
+   * revised text at the destination (the app draws a connector between them).
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Map<number, Array>} changesByParagraph - Changes per paragraph index
+   * @param {Object} decisions - Change id to 'accept' or 'reject'
+   * @returns {string} HTML string
+   */
+  renderSplit(diffResult, changesByParagraph, decisions) {
+    let html = '<div class="split-view">' +
+      '<div class="split-heading split-original">Original</div>' +
+      '<div class="split-heading split-revised">Revised</div>';
+
+    const indices = new Map(diffResult.paragraphs.map((para, index) => [para, index]));
+    const emptyOriginal = '<div class="split-cell split-original split-empty"></div>';
+
+    for (const { para, origin } of DiffEngine.documentOrder(diffResult)) {
+      const index = indices.get(para);
+      const changes = changesByParagraph.get(index) || [];
+      const runs = changes.filter(change => change.type !== 'move');
+      const originalPara = { ...para, block: para.originalBlock || para.block };
+      let paraClass = 'diff-paragraph';
+      let revisedIndicator = '';
+
+      if (para.movedFrom !== null) {
+        const move = changes.find(change => change.type === 'move');
+        paraClass += ` paragraph-moved ${this.changeClass(decisions[move.id])}`;
+
+        if (origin) {
+          html += `<div class="split-cell split-original move-origin" data-move="${index}">` +
+            this.renderBlock(originalPara, paraClass,
+              `<span class="moved-indicator"><span class="moved-indicator-icon"></span>${this.renderMoveLink(index, para)}</span>`,
+              this.renderSide(para.operations, 'original', runs, decisions)) +
+            '</div><div class="split-cell split-revised split-empty"></div>';
           continue;
         }
+        revisedIndicator = this.renderMovedIndicator(para, index, move, decisions);
+      }
+
+      // Added and moved paragraphs leave the original cell empty, deleted ones the revised cell
+      html += para.type === 'added' || para.movedFrom !== null
+        ? emptyOriginal
+        : '<div class="split-cell split-original">' +
+          this.renderBlock(originalPara, paraClass, '',
+            this.renderSide(para.operations, 'original', runs, decisions, para.type === 'deleted')) +
+          '</div>';
+      html += para.type === 'deleted'
+        ? '<div class="split-cell split-revised split-empty"></div>'
+        : '<div class="split-cell split-revised">' +
+          this.renderBlock(para, paraClass, revisedIndicator, this.renderSide(para.operations, 'revised', runs, decisions, true)) +
+          '</div>';
+    }
+
+    return html + '</div>';
+  },
+
+  /**
+   * Render one side of a paragraph for the split view: the original side
+   * shows deletions, the revised side insertions. Change runs are wrapped on
+   * both sides, but only one side carries the accept/reject controls.
+   * @param {Array} operations - Diff operations
+   * @param {string} side - 'original' or 'revised'
+   * @param {Array} [runs] - Change runs of the paragraph (see DiffEngine.collectChanges)
+   * @param {Object} [decisions] - Change id to 'accept' or 'reject'
+   * @param {boolean} [controls] - Whether to render the controls after each run
+   * @returns {string} HTML string
+   */
+  renderSide(operations, side, runs = [], decisions = {}, controls = false) {
+    let content = '';
+    const runStarts = new Map(runs.map(run => [run.start, run]));
+    const hiddenChars = side === 'original' ? 'insert' : 'delete';
+    let openRun = null;
+
+    for (const [i, op] of operations.entries()) {
+      if (runStarts.has(i)) {
+        openRun = runStarts.get(i);
+        content += `<span class="change ${this.changeClass(decisions[openRun.id])}" data-change="${openRun.id}">`;
+      }
+
+      const word = Exporter.sideWord(op, side);
+      let space = '';
+
+      if (word) {
+        const escapedText = this.renderFormatted(this.escapeHtml(word.text), word.format);
+        space = this.escapeHtml(word.trailingSpace);
 
+        if (op.type === 'modify') {
+          content += `<span class="word-modified">${this.renderFormatted(this.renderChars(this.modifiedChars(op).filter(run => run.type !== hiddenChars)), word.format)}</span>`;
+        } else if (op.type === 'insert') {
+          content += `<span class="word-inserted">${escapedText}</span>`;
+        } else if (op.type === 'delete') {
+          content += `<span class="word-deleted">${escapedText}</span>`;
+        } else {
+          content += this.renderEqual(op, escapedText);
+        }
+      }
+
+      if (openRun && i === openRun.end - 1) {
+        content += '</span>';
+        if (controls) content += this.renderChangeControls(openRun.id, decisions[openRun.id]);
+        openRun = null;
+      }
+      content += space;
+    }
+
+    return content;
+  },
+
+  /**
+   * Render the operations of one paragraph
+   * Each change run is wrapped in a .change element (the target of change
+   * navigation), followed in visible mode by its accept/reject controls.
+   * @param {Array} operations - Diff operations
+   * @param {string} mode - Display mode: 'visible' or 'hidden'
+   * @param {Array} [runs] - Change runs of the paragraph (see DiffEngine.collectChanges)
+   * @param {Object} [decisions] - Change id to 'accept' or 'reject'
+   * @returns {string} HTML string
+   */
+  renderOperations(operations, mode, runs = [], decisions = {}) {
+    let content = '';
+    const runStarts = new Map(runs.map(run => [run.start, run]));
+    let openRun = null;
+
+    // Track consecutive deletions for hidden mode
+    let pendingDeletions = 0;
+
+    for (const [i, op] of operations.entries()) {
+      if (runStarts.has(i)) {
+        openRun = runStarts.get(i);
+        content += `<span class="change ${this.changeClass(decisions[openRun.id])}" data-change="${openRun.id}">`;
+      }
+
+      const skipped = mode === 'hidden' && op.type === 'delete';
+      let space = '';
+
+      if (skipped) {
+        pendingDeletions++;
+      } else {
         // Add deletion marker if we have pending deletions
         if (mode === 'hidden' && pendingDeletions > 0) {
           content += '<span class="deletion-marker" aria-label="Text was removed here"></span>';
           pendingDeletions = 0;
         }
 
-        const escapedText = this.escapeHtml(op.word.text);
-        const space = this.escapeHtml(op.word.trailingSpace);
+        // Equal words show their revised form (they may differ in ignored details)
+        const word = op.newWord || op.word;
+        const escapedText = this.renderFormatted(this.escapeHtml(word.text), word.format);
+        space = this.escapeHtml(word.trailingSpace);
 
-        if (op.type === 'insert') {
-          content += `<span class="word-inserted">${escapedText}</span>${space}`;
+        if (op.type === 'modify') {
+          content += `<span class="word-modified">${this.renderFormatted(this.renderChars(this.modifiedChars(op)), word.format)}</span>`;
+        } else if (op.type === 'insert') {
+          content += `<span class="word-inserted">${escapedText}</span>`;
         } else if (op.type === 'delete') {
-          content += `<span class="word-deleted">${escapedText}</span>${space}`;
+          content += `<span class="word-deleted">${escapedText}</span>`;
+        } else {
+          content += this.renderEqual(op, escapedText);
+        }
+      }
+
+      // Close the change run before the whitespace that follows it
+      if (openRun && i === openRun.end - 1) {
+        if (mode === 'hidden' && pendingDeletions > 0) {
+          content += '<span class="deletion-marker" aria-label="Text was removed here"></span>';
+          pendingDeletions = 0;
+        }
+        content += '</span>';
+        if (mode === 'visible') content += this.renderChangeControls(openRun.id, decisions[openRun.id]);
+        openRun = null;
+      }
+      content += space;
+    }
+
+    // Handle trailing deletions
+    if (mode === 'hidden' && pendingDeletions > 0) {
+      content += '<span class="deletion-marker" aria-label="Text was removed here"></span>';
+    }
+
+    return content;
+  },
+
+  /**
+   * Render an equal word; a word whose formatting changed is marked, with
+   * a description of the change as its tooltip
+   * @param {Object} op - Equal operation
+   * @param {string} html - Rendered word
+   * @returns {string} HTML string
+   */
+  renderEqual(op, html) {
+    if (!op.formatChanged) return `<span class="word-equal">${html}</span>`;
+    const description = RichText.describeChange(op.word.format, (op.newWord || op.word).format).join(', ');
+    return `<span class="word-equal format-changed" title="${this.escapeAttribute(description)}">${html}</span>`;
+  },
+
+  /**
+   * Apply the inline formatting of a rich-text token to its rendered text
+   * Links only get an address when it is safe to follow (see RichText.safeUrl).
+   * @param {string} html - Rendered text
+   * @param {Object} [format] - Token formatting; plain tokens have none
+   * @returns {string} HTML string
+   */
+  renderFormatted(html, format) {
+    if (!format) return html;
+
+    let result = html;
+    if (format.code) result = `<code class="rich-code">${result}</code>`;
+    if (format.strike) result = `<s>${result}</s>`;
+    if (format.italic) result = `<em>${result}</em>`;
+    if (format.bold) result = `<strong>${result}</strong>`;
+    if (format.link !== undefined) {
+      const url = RichText.safeUrl(format.link);
+      const href = url !== null ? ` href="${this.escapeAttribute(url)}" target="_blank" rel="noopener noreferrer"` : '';
+      result = `<a class="rich-link"${href} title="${this.escapeAttribute(format.link)}">${result}</a>`;
+    }
+    return result;
+  },
+
+  /**
+   * CSS class for the review state of a change
+   * @param {string} [decision] - 'accept', 'reject' or undefined while undecided
+   * @returns {string} 'change-accepted', 'change-rejected' or 'change-pending'
+   */
+  changeClass(decision) {
+    if (decision === 'accept') return 'change-accepted';
+    if (decision === 'reject') return 'change-rejected';
+    return 'change-pending';
+  },
+
+  /**
+   * Render accept/reject buttons for one change
+   * @param {number} id - Change id
+   * @param {string} [decision] - 'accept', 'reject' or undefined while undecided
+   * @returns {string} HTML string
+   */
+  renderChangeControls(id, decision) {
+    return `<span class="change-controls" data-change="${id}">` +
+      `<button type="button" class="change-btn change-accept${decision === 'accept' ? ' active' : ''}" ` +
+      'data-decision="accept" title="Accept change" aria-label="Accept change">&#10003;</button>' +
+      `<button type="button" class="change-btn change-reject${decision === 'reject' ? ' active' : ''}" ` +
+      'data-decision="reject" title="Reject change" aria-label="Reject change">&#10005;</button>' +
+      '</span>';
+  },
+
+  /**
+   * Render the merged result of a review (see Exporter.mergedParagraphs)
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @param {Object} decisions - Change id to 'accept' or 'reject'
+   * @returns {string} HTML string
+   */
+  renderResult(diffResult, decisions) {
+    const undecided = diffResult.changes.filter(change => !decisions[change.id]).length;
+    let html = '';
+
+    if (undecided > 0) {
+      html += `<div class="diff-notice">${undecided} of ${diffResult.changes.length} ` +
+        `change${diffResult.changes.length !== 1 ? 's' : ''} undecided — shown as accepted</div>`;
+    }
+
+    for (const para of Exporter.mergedParagraphs(diffResult, decisions)) {
+      const content = para.words.some(word => word.format)
+        ? para.words.map(word => this.renderFormatted(this.escapeHtml(word.text), word.format) +
+          this.escapeHtml(word.trailingSpace)).join('').trimEnd()
+        : this.escapeHtml(para.text);
+      html += this.renderBlock({ type: 'unchanged', block: para.block }, 'diff-paragraph', '', content);
+    }
+
+    return html;
+  },
+
+  /**
+   * Wrap rendered paragraph content in an element matching its Markdown block
+   * Plain-text paragraphs (no block) render as <p>.
+   * @param {Object} para - Diff paragraph
+   * @param {string} paraClass - Paragraph CSS classes
+   * @param {string} indicator - Indicator HTML shown before the content
+   * @param {string} content - Rendered operations
+   * @returns {string} HTML string
+   */
+  renderBlock(para, paraClass, indicator, content) {
+    const block = para.block || { type: 'paragraph' };
+    const statusClass = para.type === 'added' || para.type === 'deleted' ? ` md-${para.type}` : '';
+
+    switch (block.type) {
+      case 'heading': {
+        // Numbers only: block metadata may come from a loaded diff file
+        const level = Math.min(Math.max(Math.trunc(Number(block.level)) || 1, 1), 6);
+        return `<h${level} class="${paraClass} md-heading${statusClass}">${indicator}${content}</h${level}>`;
+      }
+      case 'list': {
+        const marker = block.ordered ? this.escapeHtml(String(block.marker)) : '&bull;';
+        const depth = Math.max(Math.trunc(Number(block.depth)) || 0, 0);
+        return `<div class="${paraClass} md-list-item${statusClass}" role="listitem" style="--md-depth: ${depth}">` +
+          `${indicator}<span class="md-list-marker">${marker}</span><span class="md-list-content">${content}</span></div>`;
+      }
+      case 'code':
+      case 'table':
+        return `<div class="${paraClass} md-${block.type}${statusClass}">${indicator}<pre><code>${content}</code></pre></div>`;
+      case 'quote':
+        return `<blockquote class="${paraClass} md-quote${statusClass}">${indicator}${content}</blockquote>`;
+      case 'rule':
+        return `<div class="${paraClass} md-rule${statusClass}" role="separator">${indicator}</div>`;
+      default:
+        return `<p class="${paraClass}">${indicator}${content}</p>`;
+    }
+  },
+
+  /**
+   * Character runs of a modified word
+   * Without a character diff (it is optional in diff files) the original
+   * word shows as replaced by the revised one.
+   * @param {Object} op - Modify operation
+   * @returns {Array<{type: string, text: string}>} Character diff runs
+   */
+  modifiedChars(op) {
+    return op.chars || [{ type: 'delete', text: op.oldWord.text }, { type: 'insert', text: op.word.text }];
+  },
+
+  /**
+   * Render character runs of a modified word
+   * @param {Array<{type: string, text: string}>} chars - Character diff runs
+   * @returns {string} HTML string
+   */
+  renderChars(chars) {
+    return chars.map(run => {
+      const text = this.escapeHtml(run.text);
+      if (run.type === 'insert') return `<span class="char-inserted">${text}</span>`;
+      if (run.type === 'delete') return `<span class="char-deleted">${text}</span>`;
+      return text;
+    }).join('');
+  },
+
+  /**
+   * Render minimap markers for changes
+   * @param {Array<{id: number, type: string, top: number, height: number}>} markers -
+   *   Changes with their position and extent as fractions of the document height
+   * @param {number} [currentId] - Id of the current change
+   * @returns {string} HTML string
+   */
+  renderMinimap(markers, currentId = -1) {
+    return markers.map(marker =>
+      `<div class="minimap-marker minimap-${marker.type}${marker.id === currentId ? ' current' : ''}" data-change="${marker.id}" ` +
+      `style="top: ${(marker.top * 100).toFixed(3)}%; height: ${(marker.height * 100).toFixed(3)}%"></div>`
+    ).join('');
+  },
+
+  /**
+   * Render connector lines between the two ends of moved paragraphs
+   * @param {Array<{move: number, decision: (string|undefined), x1: number, y1: number, x2: number, y2: number}>} connectors -
+   *   Moves with their origin (x1, y1) and destination (x2, y2) in pixels
+   * @param {number} width - Drawing width in pixels
+   * @param {number} height - Drawing height in pixels
+   * @returns {string} SVG markup
+   */
+  renderMoveConnectors(connectors, width, height) {
+    const paths = connectors.map(({ move, decision, x1, y1, x2, y2 }) => {
+      const middle = (x1 + x2) / 2;
+      return `<g class="move-connector ${this.changeClass(decision)}" data-move="${move}">` +
+        `<path d="M ${x1} ${y1} C ${middle} ${y1}, ${middle} ${y2}, ${x2} ${y2}"></path>` +
+        `<circle cx="${x1}" cy="${y1}" r="3"></circle><circle cx="${x2}" cy="${y2}" r="3"></circle></g>`;
+    }).join('');
+
+    return `<svg class="move-connectors" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">${paths}</svg>`;
+  },
+
+  /**
+   * Render the list of saved sessions with restore and delete buttons
+   * Buttons carry the session's index in the list (data-session).
+   * @param {Array<Object>} sessions - Sessions from SessionStore.listSessions
+   * @returns {string} HTML string
+   */
+  renderSessionList(sessions) {
+    if (sessions.length === 0) {
+      return '<div class="session-empty">No saved sessions yet</div>';
+    }
+
+    return sessions.map((session, index) => {
+      const originalWords = Tokenizer.countWords(session.originalText);
+      const revisedWords = Tokenizer.countWords(session.revisedText);
+      const decided = Object.keys(session.decisions || {}).length;
+
+      return `
+        <div class="session-item">
+          <div class="session-info">
+            <span class="session-name">${this.escapeHtml(session.name)}</span>
+            <span class="session-meta">${this.escapeHtml(new Date(session.savedAt).toLocaleString())} · ` +
+              `${originalWords} → ${revisedWords} words${decided > 0 ? ` · ${decided} decided` : ''}</span>
+          </div>
+          <div class="options-group">
+            <button type="button" class="option-btn" data-session="${index}" data-session-action="restore">Restore</button>
+            <button type="button" class="option-btn" data-session="${index}" data-session-action="delete">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Render the version list with from/to selection, reorder and remove buttons
+   * Buttons and name inputs carry the version's index (data-version).
+   * @param {Array<{name: string, text: string}>} versions - Versions, oldest first
+   * @param {number} from - Index of the version to compare from
+   * @param {number} to - Index of the version to compare to
+   * @returns {string} HTML string
+   */
+  renderVersionList(versions, from, to) {
+    if (versions.length === 0) {
+      return '<div class="session-empty">No versions yet — add the current texts or open files</div>';
+    }
+
+    return versions.map((version, index) => {
+      const words = Tokenizer.countWords(version.text);
+      const button = (action, label, attributes = '', active = false) =>
+        `<button type="button" class="option-btn${active ? ' active' : ''}" data-version="${index}" ` +
+        `data-version-action="${action}"${attributes}>${label}</button>`;
+      const toggle = (action, label, active) => button(action, label, ` aria-pressed="${active}"`, active);
+
+      return `
+        <div class="version-item">
+          <span class="version-number">${index + 1}</span>
+          <input type="text" class="version-name-input" data-version="${index}" maxlength="100"
+            value="${this.escapeAttribute(version.name)}" aria-label="Version name">
+          <span class="session-meta">${words} word${words !== 1 ? 's' : ''}</span>
+          <div class="options-group">
+            ${toggle('from', 'From', index === from)}
+            ${toggle('to', 'To', index === to)}
+          </div>
+          <div class="options-group">
+            ${button('up', '&#8593;', `${index === 0 ? ' disabled' : ''} aria-label="Move up"`)}
+            ${button('down', '&#8595;', `${index === versions.length - 1 ? ' disabled' : ''} aria-label="Move down"`)}
+            ${button('remove', 'Remove')}
+          </div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Render a cumulative diff of a version chain (see VersionHistory.cumulative)
+   * Words added or deleted after the first version are colored by the version
+   * that changed them; hovering a word names its versions.
+   * @param {Object} history - Version history
+   * @param {string[]} names - Version names, oldest first
+   * @returns {string} HTML string
+   */
+  renderHistory(history, names) {
+    const stats = VersionHistory.versionStats(history);
+    const versionClass = (version) => `version-${(version - 1) % 6}`;
+    const name = (version) => this.escapeAttribute(names[version] || `v${version + 1}`);
+    let html = '';
+
+    if (history.truncated) {
+      html += '<div class="diff-notice">Approximate diff — some versions are too different to compare exactly within the time budget</div>';
+    }
+
+    html += '<div class="history-legend">' +
+      `<span class="history-version">${name(0)} (base)</span>` +
+      stats.slice(1).map((counts, i) =>
+        `<span class="history-version ${versionClass(i + 1)}"><span class="history-swatch"></span>` +
+        `${name(i + 1)} <span class="legend-stat">+${counts.added} −${counts.deleted}</span></span>`
+      ).join('') +
+      '</div>';
+
+    for (const para of history.paragraphs) {
+      const notes = [];
+      if (para.addedIn !== undefined) notes.push(`added in ${name(para.addedIn)}`);
+      if (para.movedIn !== undefined) notes.push(`moved in ${name(para.movedIn)}`);
+      if (para.deletedIn !== undefined) notes.push(`deleted in ${name(para.deletedIn)}`);
+      const indicator = notes.length > 0
+        ? `<span class="history-indicator">Paragraph ${notes.join(', ')}</span>`
+        : '';
+
+      const content = para.words.map(word => {
+        const text = this.escapeHtml(word.text);
+        let html;
+        if (word.deletedIn !== undefined) {
+          const title = word.version > 0 ? `Added in ${name(word.version)}, deleted in ${name(word.deletedIn)}` : `Deleted in ${name(word.deletedIn)}`;
+          html = `<span class="word-deleted ${versionClass(word.deletedIn)}" title="${title}">${text}</span>`;
+        } else if (word.version > 0) {
+          html = `<span class="word-inserted ${versionClass(word.version)}" title="Added in ${name(word.version)}">${text}</span>`;
         } else {
-          content += `<span class="word-equal">${escapedText}</span>${space}`;
+          html = `<span class="word-equal">${text}</span>`;
         }
+        return html + this.escapeHtml(word.trailingSpace);
+      }).join('');
+
+      const type = para.deletedIn !== undefined ? 'deleted' : (para.addedIn !== undefined ? 'added' : 'unchanged');
+      html += this.renderBlock({ type, block: para.block }, 'diff-paragraph', indicator, content);
+    }
+
+    return html;
+  },
+
+  /**
+   * Render a three-way merge (see Merge.merge) as the merged document
+   * Changes merged automatically are colored by the revision they come from.
+   * Unresolved conflicts show both alternatives; resolved ones show the chosen
+   * text. Either way buttons choose A, B, both or the base (data-conflict, data-resolve).
+   * @param {Object} result - Merge result
+   * @param {Object} resolutions - Conflict id to 'a', 'b', 'both' or 'base'
+   * @returns {string} HTML string
+   */
+  renderMerge(result, resolutions) {
+    const sideLabels = { a: 'A', b: 'B', both: 'A and B' };
+    const paragraphs = [];
+    let paragraph = '';
+    const tokenText = (token) => this.escapeHtml(token.text) + this.escapeHtml(token.trailingSpace);
+
+    // A run of tokens in the merged text; paragraph breaks start a new paragraph
+    const run = (tokens, attributes = '') => {
+      let open = false;
+      for (const token of tokens) {
+        if (token.paragraphBreak) {
+          if (open) paragraph += '</span>';
+          paragraphs.push(paragraph);
+          paragraph = '';
+          open = false;
+          continue;
+        }
+        if (attributes && !open) {
+          paragraph += `<span ${attributes}>`;
+          open = true;
+        }
+        paragraph += tokenText(token);
       }
+      if (open) paragraph += '</span>';
+    };
+
+    // Tokens kept on one line, e.g. removed text and conflict alternatives
+    const inline = (tokens) => tokens
+      .map(token => token.paragraphBreak ? '<span class="merge-break" title="Paragraph break">&para;</span> ' : tokenText(token))
+      .join('');
+
+    const controls = (id, resolution) => `<span class="merge-controls" data-conflict="${id}">` +
+      [['a', 'Use A'], ['b', 'Use B'], ['both', 'Both'], ['base', 'Base']].map(([value, label]) =>
+        `<button type="button" class="merge-btn${resolution === value ? ' active' : ''}" data-resolve="${value}" ` +
+        `aria-pressed="${resolution === value}">${label}</button>`
+      ).join('') +
+      '</span>';
+
+    let merged = 0;
+    let unresolved = 0;
+
+    for (const chunk of result.chunks) {
+      if (chunk.type === 'stable') {
+        run(chunk.tokens);
+      } else if (chunk.type === 'change') {
+        merged++;
+        const removed = chunk.base.filter(token => !token.paragraphBreak);
+        if (removed.length > 0) {
+          paragraph += `<span class="word-deleted merge-${chunk.side}" title="Removed in ${sideLabels[chunk.side]}">` +
+            `${inline(chunk.base)}</span>`;
+        }
+        run(chunk.tokens, `class="word-inserted merge-${chunk.side}" title="Added in ${sideLabels[chunk.side]}"`);
+      } else {
+        const resolution = resolutions[chunk.id];
+        if (resolution) {
+          paragraph += controls(chunk.id, resolution);
+          const chosen = { a: chunk.a, b: chunk.b, both: [...chunk.a, ...chunk.b], base: chunk.base }[resolution];
+          run(chosen, `class="merge-resolved" data-conflict="${chunk.id}"`);
+          continue;
+        }
 
-      // Handle trailing deletions
-      if (mode === 'hidden' && pendingDeletions > 0) {
-        content += '<span class="deletion-marker" aria-label="Text was removed here"></span>';
+        unresolved++;
+        const alternative = (side, tokens) => `<span class="merge-alternative merge-${side}">` +
+          `<span class="merge-label">${sideLabels[side]}</span>` +
+          (tokens.length > 0 ? inline(tokens) : '<em class="merge-empty">removed</em> ') +
+          '</span>';
+        paragraph += `<span class="merge-conflict" data-conflict="${chunk.id}">` +
+          alternative('a', chunk.a) + alternative('b', chunk.b) + controls(chunk.id) +
+          '</span> ';
       }
+    }
+    paragraphs.push(paragraph);
 
-      html += `<p class="${paraClass}">${content}</p>`;
+    let html = '';
+    if (result.truncated) {
+      html += '<div class="diff-notice">Approximate merge — the texts are too different to compare exactly within the time budget</div>';
     }
 
+    html += '<div class="merge-summary">' +
+      `<span>${merged} change${merged !== 1 ? 's' : ''} merged</span>` +
+      `<span class="merge-summary-conflicts">${result.conflicts} conflict${result.conflicts !== 1 ? 's' : ''}` +
+      `${result.conflicts > 0 ? `, ${unresolved} unresolved` : ''}</span>` +
+      '</div>';
+
+    html += paragraphs
+      .filter(content => content.trim())
+      .map(content => `<div class="diff-paragraph merge-paragraph">${content}</div>`)
+      .join('');
+
     return html;
   },
 
@@ -146,9 +804,172 @@ const Renderer = {
       `;
     }
 
+    // Reformatted words (only show if there are any)
+    if (stats.wordsReformatted > 0) {
+      html += `
+        <div class="legend-item">
+          <span class="legend-stat stat-format">${stats.wordsReformatted}</span>
+          <span class="legend-format">Reformatted</span>
+        </div>
+      `;
+    }
+
+    // Share of the text that changed (only show when something did)
+    if (stats.percentChanged > 0) {
+      html += `
+        <div class="legend-item">
+          <span class="legend-stat">${stats.percentChanged < 1 ? '<1' : Math.round(stats.percentChanged)}%</span>
+          <span class="legend-changed">changed</span>
+        </div>
+      `;
+    }
+
     return html;
+  },
+
+  /**
+   * Render the change summary: paragraph, word and character counts, how much
+   * changed, readability of both versions and a heat list of the changed
+   * paragraphs. Heat list items carry the id of their first change (data-change).
+   * @param {?Object} diffResult - Diff result from DiffEngine, or null when empty
+   * @returns {string} HTML string
+   */
+  renderSummary(diffResult) {
+    if (!diffResult) {
+      return '<div class="session-empty">Enter text in both panels to see a summary</div>';
+    }
+
+    const stats = diffResult.stats;
+    const number = (value, digits = 0) => value.toLocaleString('en-US', {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    });
+    const group = (heading, rows) => `
+      <section class="summary-group">
+        <h3 class="summary-heading">${heading}</h3>
+        <dl class="summary-stats">
+          ${rows.map(([label, value, cls = '']) =>
+            `<div class="summary-stat"><dt>${label}</dt><dd class="${cls}">${value}</dd></div>`).join('')}
+        </dl>
+      </section>`;
+
+    let html = '<div class="summary-grid">';
+    html += group('Overall', [
+      ['Changed', `${number(stats.percentChanged, 1)}%`],
+      ['Similarity', `${number(stats.similarity * 100, 1)}%`]
+    ]);
+    html += group('Paragraphs', [
+      ['Added', number(stats.paragraphsAdded), 'stat-inserted'],
+      ['Removed', number(stats.paragraphsDeleted), 'stat-deleted'],
+      ['Edited', number(stats.paragraphsModified)],
+      ['Moved', number(stats.paragraphsMoved), 'stat-moved'],
+      ['Unchanged', number(stats.paragraphsUnchanged)]
+    ]);
+    html += group('Words', [
+      ['Added', `+${number(stats.wordsAdded)}`, 'stat-inserted'],
+      ['Removed', `-${number(stats.wordsDeleted)}`, 'stat-deleted'],
+      ...(stats.wordsReformatted > 0 ? [['Reformatted', number(stats.wordsReformatted), 'stat-format']] : []),
+      ['Original', number(stats.wordsOriginal)],
+      ['Revised', number(stats.wordsRevised)]
+    ]);
+    html += group('Characters', [
+      ['Added', `+${number(stats.charsAdded)}`, 'stat-inserted'],
+      ['Removed', `-${number(stats.charsDeleted)}`, 'stat-deleted'],
+      ['Original', number(stats.charsOriginal)],
+      ['Revised', number(stats.charsRevised)]
+    ]);
+    html += '</div>';
+
+    return html + this.renderReadability(diffResult) + this.renderHeatList(diffResult);
+  },
+
+  /**
+   * Render a readability comparison of both versions
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @returns {string} HTML string
+   */
+  renderReadability(diffResult) {
+    const texts = Exporter.documents(diffResult);
+    const original = Tokenizer.readability(texts.original);
+    const revised = Tokenizer.readability(texts.revised);
+
+    const format = (value, digits) => (value === null ? '–' : value.toFixed(digits));
+    const delta = (from, to, digits) => {
+      if (from === null || to === null) return '';
+      const difference = Number((to - from).toFixed(digits));
+      return difference === 0 ? '±0' : `${difference > 0 ? '+' : '−'}${Math.abs(difference).toFixed(digits)}`;
+    };
+    const row = (label, key, description, digits = 1) => `
+      <tr>
+        <th scope="row"${description ? ` title="${description}"` : ''}>${label}</th>
+        <td>${format(original[key], digits)}</td>
+        <td>${format(revised[key], digits)}</td>
+        <td class="summary-delta">${delta(original[key], revised[key], digits)}</td>
+      </tr>`;
+
+    return `
+      <section class="summary-group">
+        <h3 class="summary-heading">Readability</h3>
+        <table class="summary-table">
+          <thead><tr><th></th><th scope="col">Original</th><th scope="col">Revised</th><th scope="col">Change</th></tr></thead>
+          <tbody>
+            ${row('Flesch reading ease', 'fleschReadingEase', 'Higher scores read more easily (English text)')}
+            ${row('Words per sentence', 'averageSentenceLength', 'Average sentence length in words')}
+            ${row('Sentences', 'sentences', '', 0)}
+          </tbody>
+        </table>
+      </section>`;
+  },
+
+  /**
+   * Render the changed paragraphs in document order, each with a bar showing
+   * the share of its characters that changed
+   * @param {Object} diffResult - Diff result from DiffEngine
+   * @returns {string} HTML string
+   */
+  renderHeatList(diffResult) {
+    const changesByParagraph = this.changesByParagraph(diffResult.changes);
+    const labels = { added: 'Added', deleted: 'Removed', modified: 'Edited' };
+    const items = [];
+
+    const indices = new Map(diffResult.paragraphs.map((para, index) => [para, index]));
+
+    for (const { para, origin } of DiffEngine.documentOrder(diffResult)) {
+      const changes = changesByParagraph.get(indices.get(para));
+      if (origin || !changes) continue;
+
+      const chars = DiffEngine.countChars([para]);
+      const total = chars.added + chars.deleted + 2 * chars.unchanged;
+      const heat = total > 0 ? (chars.added + chars.deleted) / total : 0;
+      const edited = changes.some(change => change.type !== 'move');
+      const reformatted = changes.every(change => change.type === 'format');
+      const label = para.movedFrom !== null
+        ? (edited ? 'Moved and edited' : 'Moved')
+        : reformatted ? 'Reformatted' : labels[para.type] || 'Edited';
+
+      const text = Exporter.paragraphText(para.operations, para.revisedIndex === null ? 'original' : 'revised');
+      const excerpt = text.length > 80 ? `${text.slice(0, 80).trimEnd()}…` : text;
+
+      items.push(`
+        <li>
+          <button type="button" class="heat-item" data-change="${changes[0].id}" style="--heat: ${heat.toFixed(3)}">
+            <span class="heat-bar" aria-hidden="true"></span>
+            <span class="heat-label">${label}</span>
+            <span class="heat-excerpt">${this.escapeHtml(excerpt)}</span>
+            <span class="heat-value">${Math.round(heat * 100)}%</span>
+          </button>
+        </li>`);
+    }
+
+    return `
+      <section class="summary-group">
+        <h3 class="summary-heading">Changes by paragraph</h3>
+        ${items.length > 0
+          ? `<ol class="heat-list">${items.join('')}</ol>`
+          : '<div class="session-empty">No changes</div>'}
+      </section>`;
   }
 };
 
 // Export for use in other modules
-window.Renderer = Renderer;
+export { Renderer };
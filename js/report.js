@@ -0,0 +1,69 @@
+/**
+ * Report Module
+ * Builds a standalone HTML comparison report: the rendered diff with its
+ * statistics, a title and a timestamp, and the page styles inlined so the file
+ * can be sent on its own or printed to PDF (css/report.css adds change bars
+ * and page breaks for print).
+ */
+
+import { Renderer } from './renderer.js';
+
+const Report = {
+  /**
+   * Stylesheets inlined into a report, relative to the app root, in order
+   */
+  stylesheets: ['css/styles.css', 'css/report.css'],
+
+  /**
+   * Default report options
+   */
+  defaultOptions: {
+    title: 'Comparison report',
+    mode: 'visible',
+    generator: 'Tracker'
+  },
+
+  /**
+   * Build a report
+   * @param {Array<{diffResult: Object, heading?: string, decisions?: Object}>} sections -
+   *   Comparisons to include, e.g. one per file; a heading names the section
+   * @param {Object} options - {css, title, mode, date, generator}; css is the text
+   *   of the stylesheets, mode a display mode of Renderer.renderDiff
+   * @returns {string} Complete HTML document
+   */
+  toHtml(sections, options) {
+    const opts = { ...this.defaultOptions, ...options };
+    const date = opts.date || new Date();
+    const title = Renderer.escapeHtml(opts.title);
+
+    const body = sections.length > 0
+      ? sections.map(section => this.renderSection(section, opts.mode)).join('')
+      : '<div class="no-changes">No changes detected — texts are identical</div>\n';
+
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      `<title>${title}</title>\n<style>\n${opts.css || ''}</style>\n</head>\n` +
+      '<body class="report">\n<header class="report-header">\n' +
+      `<h1 class="report-title">${title}</h1>\n` +
+      `<p class="report-meta">Generated by ${Renderer.escapeHtml(opts.generator)} on ` +
+      `<time datetime="${date.toISOString()}">${Renderer.escapeHtml(date.toLocaleString())}</time></p>\n` +
+      `</header>\n${body}</body>\n</html>\n`;
+  },
+
+  /**
+   * Render one comparison of a report
+   * @param {{diffResult: Object, heading?: string, decisions?: Object}} section - Comparison
+   * @param {string} mode - Display mode
+   * @returns {string} HTML string
+   */
+  renderSection(section, mode) {
+    return '<section class="report-section">\n' +
+      (section.heading ? `<h2 class="report-file">${Renderer.escapeHtml(section.heading)}</h2>\n` : '') +
+      `<div class="comparison-footer">${Renderer.renderLegend(section.diffResult.stats)}</div>\n` +
+      `<div class="comparison-output diff-${mode}">${Renderer.renderDiff(section.diffResult, mode, section.decisions || {})}</div>\n` +
+      '</section>\n';
+  }
+};
+
+// Export for use in other modules
+export { Report };
@@ -0,0 +1,383 @@
+/**
+ * Rich Text Module
+ * Inline formatting for rich-text comparisons. Formatted text is kept as
+ * inline Markdown (**bold**, *italic*, ~~strikethrough~~, `code` and
+ * [links](url)), so it stays plain text in the editors, sessions and exports;
+ * this module parses it into formatted segments, writes segments back and
+ * describes how formatting changed.
+ */
+const RichText = {
+  /**
+   * Formatting flags in nesting order, outermost first; link holds the URL
+   */
+  styles: ['link', 'bold', 'italic', 'strike', 'code'],
+
+  /**
+   * Descriptions of formatting being added and removed, per style
+   */
+  descriptions: {
+    bold: ['made bold', 'bold removed'],
+    italic: ['made italic', 'italic removed'],
+    strike: ['struck through', 'strikethrough removed'],
+    code: ['formatted as code', 'code formatting removed']
+  },
+
+  /**
+   * Characters a backslash escapes
+   */
+  escapable: /[\\`*_~[\]()]/,
+
+  /**
+   * Parse inline Markdown into formatted segments
+   * Unmatched markers stay literal text; _underscores_ only mark emphasis at
+   * word boundaries, so snake_case names are left alone.
+   * @param {string} text - Text with inline Markdown
+   * @returns {Array<{text: string, format: Object}>} Segments with their plain
+   *   text; neighbouring segments always differ in format
+   */
+  parse(text) {
+    const segments = [];
+    this.parseSpan(text, 0, text.length, {}, segments);
+    return segments;
+  },
+
+  /**
+   * Parse part of a text, appending its segments
+   * @param {string} text - Whole text
+   * @param {number} start - Start offset
+   * @param {number} end - End offset (exclusive)
+   * @param {Object} format - Formatting of the enclosing span
+   * @param {Array} segments - Segments so far
+   */
+  parseSpan(text, start, end, format, segments) {
+    const append = (content, fmt) => {
+      const last = segments[segments.length - 1];
+      if (last && this.formatKey(last.format) === this.formatKey(fmt)) {
+        last.text += content;
+      } else if (content) {
+        segments.push({ text: content, format: fmt });
+      }
+    };
+
+    let i = start;
+    while (i < end) {
+      const char = text[i];
+
+      if (char === '\\' && i + 1 < end && this.escapable.test(text[i + 1])) {
+        append(text[i + 1], format);
+        i += 2;
+        continue;
+      }
+
+      if (char === '`') {
+        const fence = text.slice(i, end).match(/^`+/)[0];
+        const close = text.indexOf(fence, i + fence.length);
+        if (close >= 0 && close + fence.length <= end && close > i + fence.length) {
+          let code = text.slice(i + fence.length, close);
+          if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+          append(code, { ...format, code: true });
+          i = close + fence.length;
+          continue;
+        }
+        append(fence, format);
+        i += fence.length;
+        continue;
+      }
+
+      if (char === '[') {
+        const link = this.matchLink(text, i, end);
+        if (link) {
+          this.parseSpan(text, i + 1, link.textEnd, { ...format, link: link.url }, segments);
+          i = link.end;
+          continue;
+        }
+      }
+
+      const emphasis = this.matchEmphasis(text, i, end);
+      if (emphasis) {
+        const inner = { ...format };
+        for (const style of emphasis.styles) inner[style] = true;
+        this.parseSpan(text, i + emphasis.marker.length, emphasis.close, inner, segments);
+        i = emphasis.close + emphasis.marker.length;
+        continue;
+      }
+
+      append(char, format);
+      i++;
+    }
+  },
+
+  /**
+   * Match a [text](url) link starting at an opening bracket
+   * @param {string} text - Whole text
+   * @param {number} start - Offset of the bracket
+   * @param {number} end - End of the enclosing span
+   * @returns {?{textEnd: number, url: string, end: number}} Offset of the closing
+   *   bracket, the URL and the offset after the link
+   */
+  matchLink(text, start, end) {
+    let depth = 0;
+    for (let i = start; i < end; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === '[') {
+        depth++;
+      } else if (text[i] === ']' && --depth === 0) {
+        const target = text.slice(i + 1, end).match(/^\(<?([^\s()<>]*)>?\)/);
+        return target && i > start + 1
+          ? { textEnd: i, url: target[1], end: i + 1 + target[0].length }
+          : null;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Match an emphasis span (*, _, **, __, ***, ~~) starting at an offset
+   * The closing marker must follow non-whitespace; a single * skips over **
+   * pairs so bold text can sit inside italics.
+   * @param {string} text - Whole text
+   * @param {number} start - Offset of the opening marker
+   * @param {number} end - End of the enclosing span
+   * @returns {?{marker: string, styles: string[], close: number}} The marker,
+   *   the styles it sets and the offset of the closing marker
+   */
+  matchEmphasis(text, start, end) {
+    const marker = (text.slice(start, end).match(/^(\*\*\*|\*\*|\*|__|_|~~)/) || [])[0];
+    if (!marker || !/\S/.test(text[start + marker.length] || '')) return null;
+
+    const wordChar = (char) => /[\p{L}\p{N}]/u.test(char || '');
+    const underscore = marker[0] === '_';
+    if (underscore && wordChar(text[start - 1])) return null;
+
+    for (let i = start + marker.length + 1; i + marker.length <= end; i++) {
+      if (text[i] === '\\') {
+        i++;
+        continue;
+      }
+      if (text[i] === '`') {
+        // Markers inside code spans do not count
+        const fence = text.slice(i, end).match(/^`+/)[0];
+        const close = text.indexOf(fence, i + fence.length);
+        if (close >= 0 && close < end) i = close + fence.length - 1;
+        continue;
+      }
+      if (marker === '*' && text.startsWith('**', i)) {
+        i++;
+        continue;
+      }
+      if (!text.startsWith(marker, i) || /\s/.test(text[i - 1])) continue;
+      if (underscore && wordChar(text[i + marker.length])) continue;
+
+      const styles = marker === '~~' ? ['strike']
+        : marker === '***' ? ['bold', 'italic']
+          : marker.length === 2 ? ['bold'] : ['italic'];
+      return { marker, styles, close: i };
+    }
+    return null;
+  },
+
+  /**
+   * Write formatted text back as inline Markdown
+   * Formatting is nested in the order of styles, so a link or bold stretch
+   * gets one pair of markers however its words are formatted inside.
+   * Whitespace at the edges of a formatted stretch is moved outside its markers.
+   * @param {Array<{text: string, trailingSpace?: string, format?: Object}>} parts -
+   *   Segments or tokens, in order
+   * @returns {string} Text with inline Markdown
+   */
+  serialize(parts) {
+    return this.serializeLevel(parts.map(part => ({
+      text: part.text + (part.trailingSpace || ''),
+      format: part.format || {}
+    })), 0);
+  },
+
+  /**
+   * Write segments from one nesting level of styles inwards
+   * @param {Array<{text: string, format: Object}>} segments - Segments
+   * @param {number} level - Index into styles
+   * @returns {string} Inline Markdown
+   */
+  serializeLevel(segments, level) {
+    if (level === this.styles.length) {
+      return this.literal(segments.map(segment => segment.text).join(''));
+    }
+
+    const style = this.styles[level];
+    const value = (segment) => (segment.format[style] === false ? undefined : segment.format[style]);
+    let output = '';
+    let i = 0;
+
+    while (i < segments.length) {
+      const group = [segments[i]];
+      while (++i < segments.length && value(segments[i]) === value(group[0])) group.push(segments[i]);
+
+      const text = group.map(segment => segment.text).join('');
+      const lead = text.match(/^\s*/)[0];
+      if (value(group[0]) === undefined || lead.length === text.length) {
+        output += value(group[0]) === undefined ? this.serializeLevel(group, level + 1) : text;
+        continue;
+      }
+
+      const trail = text.match(/\s*$/)[0];
+      const inner = this.trimSegments(group, lead.length, trail.length);
+      output += lead + this.wrap(style, value(group[0]), inner, level) + trail;
+    }
+    return output;
+  },
+
+  /**
+   * Wrap segments sharing a style in its markers
+   * @param {string} style - Style name
+   * @param {boolean|string} value - true, or the link target
+   * @param {Array<{text: string, format: Object}>} segments - Segments, without
+   *   whitespace at the edges
+   * @param {number} level - Index of the style in styles
+   * @returns {string} Inline Markdown
+   */
+  wrap(style, value, segments, level) {
+    if (style === 'code') {
+      const content = segments.map(segment => segment.text).join('');
+      const longest = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longest + 1);
+      const pad = content.startsWith('`') || content.endsWith('`') ? ' ' : '';
+      return fence + pad + content + pad + fence;
+    }
+
+    const markup = this.serializeLevel(segments, level + 1);
+    switch (style) {
+      case 'link':
+        return `[${markup}](${this.encodeUrl(value)})`;
+      case 'bold':
+        return `**${markup}**`;
+      case 'italic':
+        // Underscores keep italics inside bold text from reading as ***
+        return segments[0].format.bold ? `_${markup}_` : `*${markup}*`;
+      default:
+        return `~~${markup}~~`;
+    }
+  },
+
+  /**
+   * Cut characters off both ends of a list of segments
+   * @param {Array<{text: string, format: Object}>} segments - Segments
+   * @param {number} start - Characters to cut from the start
+   * @param {number} end - Characters to cut from the end
+   * @returns {Array<{text: string, format: Object}>} Remaining segments
+   */
+  trimSegments(segments, start, end) {
+    const result = segments.map(segment => ({ ...segment }));
+
+    for (let n = start; n > 0;) {
+      const cut = Math.min(n, result[0].text.length);
+      result[0].text = result[0].text.slice(cut);
+      if (!result[0].text) result.shift();
+      n -= cut;
+    }
+    for (let n = end; n > 0;) {
+      const last = result[result.length - 1];
+      const cut = Math.min(n, last.text.length);
+      last.text = last.text.slice(0, last.text.length - cut);
+      if (!last.text) result.pop();
+      n -= cut;
+    }
+    return result;
+  },
+
+  /**
+   * Plain text of inline Markdown, without its markup
+   * @param {string} text - Text with inline Markdown
+   * @returns {string} Plain text
+   */
+  plainText(text) {
+    return this.parse(text).map(segment => segment.text).join('');
+  },
+
+  /**
+   * Plain text as it can be written in inline Markdown: unchanged unless it
+   * would read as formatting, escaped otherwise
+   * @param {string} text - Plain text
+   * @returns {string} Text that parses back to itself
+   */
+  literal(text) {
+    const segments = this.parse(text);
+    const plain = segments.length === 1 && segments[0].text === text && !this.formatKey(segments[0].format);
+    return plain ? text : this.escape(text);
+  },
+
+  /**
+   * Escape characters that would read as inline Markdown
+   * Underscores inside words are left alone.
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return text
+      .replace(/[\\`*~[\]]/g, '\\$&')
+      .replace(/_/g, (match, offset) =>
+        /[\p{L}\p{N}]/u.test(text[offset - 1] || '') && /[\p{L}\p{N}]/u.test(text[offset + 1] || '')
+          ? match
+          : '\\_');
+  },
+
+  /**
+   * Encode the characters a link target cannot contain
+   * @param {string} url - Link target
+   * @returns {string} Encoded target
+   */
+  encodeUrl(url) {
+    return url.replace(/[\s()<>]/g, char => encodeURIComponent(char));
+  },
+
+  /**
+   * Comparable key of a format; '' for plain text
+   * @param {Object} [format] - Formatting flags
+   * @returns {string} Key
+   */
+  formatKey(format = {}) {
+    return this.styles
+      .filter(style => format[style] !== undefined && format[style] !== false)
+      .map(style => (style === 'link' ? `link:${format.link}` : style))
+      .join(' ');
+  },
+
+  /**
+   * Describe how formatting changed
+   * @param {Object} [before] - Original formatting
+   * @param {Object} [after] - Revised formatting
+   * @returns {string[]} Descriptions such as 'made bold' or 'link target changed'
+   */
+  describeChange(before = {}, after = {}) {
+    const descriptions = [];
+
+    if (before.link !== after.link) {
+      if (before.link === undefined) descriptions.push('link added');
+      else if (after.link === undefined) descriptions.push('link removed');
+      else descriptions.push('link target changed');
+    }
+    for (const [style, [added, removed]] of Object.entries(this.descriptions)) {
+      if (!before[style] && after[style]) descriptions.push(added);
+      else if (before[style] && !after[style]) descriptions.push(removed);
+    }
+    return descriptions;
+  },
+
+  /**
+   * Link target that is safe to follow: web, mail or relative addresses
+   * The target is first cleaned the way browsers read it (control characters
+   * and spaces trimmed, tabs and line breaks dropped), so none of them can
+   * hide a scheme.
+   * @param {string} url - Link target
+   * @returns {?string} The cleaned target, or null for other schemes (javascript: etc.)
+   */
+  safeUrl(url) {
+    const cleaned = url.replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '').replace(/[\t\n\r]/g, '');
+    const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return cleaned;
+    return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? cleaned : null;
+  }
+};
+
+// Export for use in other modules
+export { RichText };
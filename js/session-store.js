@@ -0,0 +1,190 @@
+/**
+ * Session Store Module
+ * Persists the working comparison (autosave) and named sessions in the browser.
+ * Sessions live in IndexedDB; the autosave uses localStorage while it is small
+ * and IndexedDB beyond that. Without IndexedDB everything falls back to localStorage.
+ */
+const SessionStore = {
+  /**
+   * IndexedDB database name and version
+   */
+  dbName: 'tracker',
+  dbVersion: 1,
+
+  /**
+   * localStorage keys
+   */
+  autosaveKey: 'tracker:autosave',
+  sessionsKey: 'tracker:sessions',
+
+  /**
+   * Largest autosave (in characters of JSON) kept in localStorage
+   */
+  localLimit: 256 * 1024,
+
+  /**
+   * Pending database connection, opened on first use
+   */
+  dbPromise: null,
+
+  /**
+   * Open the database
+   * @returns {Promise<?IDBDatabase>} Database, or null when IndexedDB is unavailable
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        let request;
+        try {
+          request = indexedDB.open(this.dbName, this.dbVersion);
+        } catch (error) {
+          // Some browsers throw in private mode or sandboxed frames
+          resolve(null);
+          return;
+        }
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('sessions', { keyPath: 'name' });
+          db.createObjectStore('autosave');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      });
+    }
+    return this.dbPromise;
+  },
+
+  /**
+   * Run one request against an object store
+   * @param {IDBDatabase} db - Open database
+   * @param {string} storeName - 'sessions' or 'autosave'
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest - Builds the request
+   * @returns {Promise<*>} Request result, once the transaction has completed
+   */
+  run(db, storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+  },
+
+  /**
+   * Save the working session
+   * @param {Object} snapshot - Session snapshot (see App.snapshot)
+   * @returns {Promise<void>}
+   */
+  async saveAutosave(snapshot) {
+    const json = JSON.stringify(snapshot);
+
+    if (json.length <= this.localLimit) {
+      // Written before anything asynchronous, so a save on page hide completes
+      localStorage.setItem(this.autosaveKey, json);
+      const db = await this.open();
+      if (db) await this.run(db, 'autosave', 'readwrite', store => store.delete('current'));
+      return;
+    }
+
+    const db = await this.open();
+    if (!db) {
+      localStorage.setItem(this.autosaveKey, json);
+      return;
+    }
+
+    await this.run(db, 'autosave', 'readwrite', store => store.put(snapshot, 'current'));
+    localStorage.removeItem(this.autosaveKey);
+  },
+
+  /**
+   * Load the working session
+   * @returns {Promise<?Object>} Snapshot, or null when nothing was saved
+   */
+  async loadAutosave() {
+    const json = localStorage.getItem(this.autosaveKey);
+    if (json) return JSON.parse(json);
+
+    const db = await this.open();
+    if (!db) return null;
+    return (await this.run(db, 'autosave', 'readonly', store => store.get('current'))) || null;
+  },
+
+  /**
+   * Named sessions kept in localStorage when IndexedDB is unavailable
+   * @returns {Object<string, Object>} Session name to session
+   */
+  localSessions() {
+    return JSON.parse(localStorage.getItem(this.sessionsKey) || '{}');
+  },
+
+  /**
+   * List named sessions, most recently saved first
+   * @returns {Promise<Array<Object>>} Sessions ({name, savedAt, ...snapshot})
+   */
+  async listSessions() {
+    const db = await this.open();
+    const sessions = db
+      ? await this.run(db, 'sessions', 'readonly', store => store.getAll())
+      : Object.values(this.localSessions());
+    return sessions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  },
+
+  /**
+   * Save a named session, replacing any session of the same name
+   * @param {string} name - Session name
+   * @param {Object} snapshot - Session snapshot (see App.snapshot)
+   * @returns {Promise<void>}
+   */
+  async saveSession(name, snapshot) {
+    const session = { ...snapshot, name };
+    const db = await this.open();
+
+    if (db) {
+      await this.run(db, 'sessions', 'readwrite', store => store.put(session));
+    } else {
+      const sessions = this.localSessions();
+      sessions[name] = session;
+      localStorage.setItem(this.sessionsKey, JSON.stringify(sessions));
+    }
+  },
+
+  /**
+   * Load a named session
+   * @param {string} name - Session name
+   * @returns {Promise<?Object>} Session, or null when it does not exist
+   */
+  async loadSession(name) {
+    const db = await this.open();
+    if (!db) return this.localSessions()[name] || null;
+    return (await this.run(db, 'sessions', 'readonly', store => store.get(name))) || null;
+  },
+
+  /**
+   * Delete a named session
+   * @param {string} name - Session name
+   * @returns {Promise<void>}
+   */
+  async deleteSession(name) {
+    const db = await this.open();
+
+    if (db) {
+      await this.run(db, 'sessions', 'readwrite', store => store.delete(name));
+    } else {
+      const sessions = this.localSessions();
+      delete sessions[name];
+      localStorage.setItem(this.sessionsKey, JSON.stringify(sessions));
+    }
+  }
+};
+
+// Export for use in other modules
+export { SessionStore };
@@ -0,0 +1,141 @@
+/**
+ * Share Link Module
+ * Encodes a comparison (both texts, options and display mode) into the URL
+ * fragment, compressed in the browser. The fragment is never sent to a
+ * server, so the texts only travel inside the link itself.
+ */
+
+import { DiffEngine } from './diff-engine.js';
+
+const ShareLink = {
+  /**
+   * URL fragment prefix of a share link
+   */
+  prefix: '#share=',
+
+  /**
+   * Payload format version
+   */
+  version: 1,
+
+  /**
+   * Link length (characters) above which some mail and chat apps cut links short
+   */
+  warnLength: 8000,
+
+  /**
+   * Longest link browsers reliably open (Chromium's URL limit)
+   */
+  maxLength: 2 * 1024 * 1024,
+
+  /**
+   * Whether the browser can compress and decompress share links
+   * @returns {boolean} True when CompressionStream and DecompressionStream exist
+   */
+  supported() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+  },
+
+  /**
+   * Build a share link
+   * @param {{originalText: string, revisedText: string, comparisonOptions: Object, displayMode: string}} comparison
+   *   Comparison to share
+   * @param {string} baseUrl - Page URL; any fragment is replaced
+   * @returns {Promise<string>} Share link
+   */
+  async createUrl(comparison, baseUrl) {
+    const payload = {
+      version: this.version,
+      originalText: comparison.originalText,
+      revisedText: comparison.revisedText,
+      comparisonOptions: comparison.comparisonOptions,
+      displayMode: comparison.displayMode
+    };
+    const bytes = await this.transform(new TextEncoder().encode(JSON.stringify(payload)), new CompressionStream('deflate-raw'));
+    return baseUrl.replace(/#.*$/, '') + this.prefix + this.toBase64Url(bytes);
+  },
+
+  /**
+   * Encoded payload of a URL fragment
+   * @param {string} hash - URL fragment, e.g. location.hash
+   * @returns {?string} Encoded payload, or null when the fragment is not a share link
+   */
+  parse(hash) {
+    return hash.startsWith(this.prefix) && hash.length > this.prefix.length
+      ? hash.slice(this.prefix.length)
+      : null;
+  },
+
+  /**
+   * Decode a share link payload
+   * @param {string} encoded - Encoded payload (see parse)
+   * @returns {Promise<Object>} Shared comparison {originalText, revisedText, comparisonOptions, displayMode};
+   *   comparisonOptions keeps only known options with allowed values
+   * @throws {Error} When the link is damaged or from a newer version
+   */
+  async decode(encoded) {
+    let payload;
+    try {
+      const bytes = await this.transform(this.fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+      payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error('The link is damaged or incomplete');
+    }
+
+    if (!payload || typeof payload.originalText !== 'string' || typeof payload.revisedText !== 'string') {
+      throw new Error('The link does not contain a comparison');
+    }
+    if (payload.version > this.version) {
+      throw new Error('The link was made by a newer version of this page');
+    }
+
+    const options = payload.comparisonOptions !== null && typeof payload.comparisonOptions === 'object'
+      ? payload.comparisonOptions
+      : {};
+    return {
+      ...payload,
+      comparisonOptions: Object.fromEntries(Object.entries(options)
+        .filter(([option, value]) => DiffEngine.isValidOption(option, value)))
+    };
+  },
+
+  /**
+   * Pipe bytes through a compression or decompression stream
+   * @param {Uint8Array} bytes - Input
+   * @param {TransformStream} stream - CompressionStream or DecompressionStream
+   * @returns {Promise<Uint8Array>} Output
+   */
+  async transform(bytes, stream) {
+    const output = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await output.arrayBuffer());
+  },
+
+  /**
+   * Encode bytes as base64url without padding
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} URL-safe text
+   */
+  toBase64Url(bytes) {
+    let binary = '';
+    // Chunked to stay below the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * Decode base64url text
+   * @param {string} text - URL-safe text
+   * @returns {Uint8Array} Bytes
+   */
+  fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+};
+
+// Export for use in other modules
+export { ShareLink };
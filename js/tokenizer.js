@@ -1,8 +1,21 @@
 /**
  * Tokenizer Module
- * Handles text parsing: paragraphs, words, fingerprinting
+ * Handles text parsing: paragraphs, words, fingerprinting and readability
  */
+
+import { RichText } from './rich-text.js';
+
 const Tokenizer = {
+  /**
+   * Abbreviations whose trailing period does not end a sentence (lowercase, without the period)
+   */
+  abbreviations: new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'al',
+    'inc', 'ltd', 'co', 'corp', 'llc', 'no', 'nos', 'vol', 'fig', 'figs', 'p', 'pp',
+    'art', 'arts', 'sec', 'secs', 'para', 'ch', 'cl', 'cf', 'approx', 'dept', 'est',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+  ]),
+
   /**
    * Split text into paragraphs (double newline separator)
    * @param {string} text - Input text
@@ -16,6 +29,147 @@ const Tokenizer = {
       .filter(p => p.length > 0);
   },
 
+  /**
+   * Split Markdown text into blocks
+   * Headings, list items, fenced code, tables, block quotes and rules become
+   * their own blocks; everything else is split into paragraphs on blank lines.
+   * Block text excludes the Markdown markers (#, list bullets, >, fences).
+   * @param {string} text - Input text
+   * @returns {Array<{type: string, text: string}>} Blocks; headings carry level,
+   *   list items ordered/marker/depth, code blocks lang
+   */
+  splitMarkdownBlocks(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const listItem = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    const blockStart = /^\s*(`{3,}|~{3,}|#{1,6}\s|>)/;
+    const tableSeparator = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push({ type: 'paragraph', text: paragraph.join('\n').trim() });
+        paragraph = [];
+      }
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      let match;
+
+      if (!line.trim()) {
+        flushParagraph();
+        i++;
+        continue;
+      }
+
+      // Fenced code block: everything up to the closing fence, verbatim
+      if ((match = line.match(/^\s*(`{3,}|~{3,})\s*([^`\s]*)/))) {
+        flushParagraph();
+        const fence = match[1];
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+          code.push(lines[i++]);
+        }
+        i++;
+        blocks.push({ type: 'code', text: code.join('\n'), lang: match[2] || '' });
+        continue;
+      }
+
+      // ATX heading
+      if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/))) {
+        flushParagraph();
+        blocks.push({ type: 'heading', text: match[2], level: match[1].length });
+        i++;
+        continue;
+      }
+
+      // Setext heading (paragraph underlined with === or ---)
+      if (paragraph.length > 0 && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+        blocks.push({
+          type: 'heading',
+          text: paragraph.join('\n').trim(),
+          level: line.trim()[0] === '=' ? 1 : 2
+        });
+        paragraph = [];
+        i++;
+        continue;
+      }
+
+      // Horizontal rule
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushParagraph();
+        blocks.push({ type: 'rule', text: line.trim() });
+        i++;
+        continue;
+      }
+
+      // Table: header row followed by a separator row
+      if (line.includes('|') && i + 1 < lines.length && tableSeparator.test(lines[i + 1])) {
+        flushParagraph();
+        const rows = [];
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+          rows.push(lines[i++].trim());
+        }
+        blocks.push({ type: 'table', text: rows.join('\n') });
+        continue;
+      }
+
+      // List item, with its continuation lines
+      if ((match = line.match(listItem))) {
+        flushParagraph();
+        const item = [match[3]];
+        i++;
+        while (i < lines.length && lines[i].trim() &&
+               !listItem.test(lines[i]) && !blockStart.test(lines[i])) {
+          item.push(lines[i++].trim());
+        }
+        blocks.push({
+          type: 'list',
+          text: item.join('\n').trim(),
+          ordered: /\d/.test(match[2]),
+          marker: match[2],
+          depth: Math.floor(match[1].replace(/\t/g, '    ').length / 2)
+        });
+        continue;
+      }
+
+      // Block quote
+      if (/^\s*>/.test(line)) {
+        flushParagraph();
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+        }
+        blocks.push({ type: 'quote', text: quote.join('\n').trim() });
+        continue;
+      }
+
+      paragraph.push(line);
+      i++;
+    }
+    flushParagraph();
+
+    return blocks.filter(block => block.type === 'code' || block.text.length > 0);
+  },
+
+  /**
+   * Tokenize a block into lines (for code and tables)
+   * @param {string} text - Block text
+   * @returns {Array<{text: string, index: number, trailingSpace: string}>}
+   */
+  tokenizeLines(text) {
+    const lines = text.split('\n');
+    return lines.map((line, index) => ({
+      text: line,
+      index,
+      trailingSpace: index < lines.length - 1 ? '\n' : ''
+    }));
+  },
+
   /**
    * Tokenize paragraph into words with trailing whitespace
    * @param {string} paragraph - Paragraph text
@@ -37,15 +191,170 @@ const Tokenizer = {
     return tokens;
   },
 
+  /**
+   * Tokenize paragraph into sentences with trailing whitespace
+   * A sentence ends at . ! ? or an ellipsis (plus closing quotes/brackets)
+   * followed by whitespace and a capital letter, digit or opening quote.
+   * Abbreviations, initials and decimals do not end a sentence.
+   * @param {string} paragraph - Paragraph text
+   * @returns {Array<{text: string, index: number, trailingSpace: string}>}
+   */
+  tokenizeSentences(paragraph) {
+    const tokens = [];
+    const boundary = /([.!?\u2026]+)["'\u201D\u2019)\]]*(\s+)/gu;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(paragraph)) !== null) {
+      const next = match.index + match[0].length;
+      if (next >= paragraph.length) break;
+
+      if (!this.isSentenceEnd(paragraph.slice(start, match.index), match[1], paragraph.slice(next))) {
+        continue;
+      }
+
+      tokens.push({
+        text: paragraph.slice(start, next - match[2].length),
+        index: tokens.length,
+        trailingSpace: match[2]
+      });
+      start = next;
+    }
+
+    const rest = paragraph.slice(start).trimEnd();
+    if (rest.length > 0) {
+      tokens.push({ text: rest, index: tokens.length, trailingSpace: ' ' });
+    }
+    return tokens;
+  },
+
+  /**
+   * Decide whether terminal punctuation ends a sentence
+   * @param {string} before - Sentence text before the punctuation
+   * @param {string} punctuation - The terminal punctuation run
+   * @param {string} after - Text after the following whitespace
+   * @returns {boolean} True at a sentence boundary
+   */
+  isSentenceEnd(before, punctuation, after) {
+    // Next sentence must start like a sentence
+    if (!/^["'\u201C\u2018(\[]?[\p{Lu}\p{N}]/u.test(after)) return false;
+    if (punctuation !== '.') return true;
+
+    const lastWord = (before.match(/(\S+)$/) || ['', ''])[1].replace(/^["'\u201C\u2018(\[]+/u, '');
+
+    // Initials (J. Smith) and dotted abbreviations (e.g. / U.S.)
+    if (/^\p{Lu}$/u.test(lastWord) || /^(\p{L}\.)+\p{L}$/u.test(lastWord)) return false;
+
+    return !this.abbreviations.has(lastWord.toLowerCase());
+  },
+
+  /**
+   * Tokenize text into single characters (code points, so surrogate pairs stay whole)
+   * A run of whitespace is kept as one token.
+   * @param {string} text - Word or paragraph text
+   * @returns {Array<{text: string, index: number, trailingSpace: string}>}
+   */
+  tokenizeChars(text) {
+    return (text.match(/\s+|[^]/gu) || []).map((char, index) => ({
+      text: char,
+      index,
+      trailingSpace: ''
+    }));
+  },
+
+  /**
+   * Tokenize rich text (inline Markdown, see RichText) at a granularity
+   * Tokens hold the plain text and carry the formatting of their characters;
+   * a token whose formatting changes part way is split there, the first
+   * pieces getting no trailing whitespace. Words are also split from their
+   * leading and trailing punctuation, which formatting usually stops short
+   * of, so **word**, and word, still match.
+   * @param {string} paragraph - Paragraph text with inline Markdown
+   * @param {string} [granularity] - 'word', 'character' or 'sentence' (others tokenize by word)
+   * @returns {Array<{text: string, index: number, trailingSpace: string, format: Object}>}
+   */
+  tokenizeRich(paragraph, granularity = 'word') {
+    const segments = RichText.parse(paragraph);
+    const text = segments.map(segment => segment.text).join('');
+
+    // Format of every UTF-16 unit of the plain text
+    const formats = segments.flatMap(segment => Array(segment.text.length).fill(segment.format));
+
+    let plain;
+    if (granularity === 'character') plain = this.tokenizeChars(text);
+    else if (granularity === 'sentence') plain = this.tokenizeSentences(text);
+    else plain = this.tokenizeWords(text);
+    const words = granularity !== 'character' && granularity !== 'sentence';
+
+    const tokens = [];
+    let offset = 0;
+
+    for (const token of plain) {
+      const start = text.indexOf(token.text, offset);
+      offset = start + token.text.length;
+
+      const breaks = new Set();
+      if (words) {
+        const [, before, core] = token.text.match(/^([^\p{L}\p{N}]*)([^]*?)[^\p{L}\p{N}]*$/u);
+        if (core) breaks.add(start + before.length).add(start + before.length + core.length);
+      }
+
+      let pieceStart = start;
+      for (let i = start + 1; i <= offset; i++) {
+        if (i < offset && formats[i] === formats[i - 1] && !breaks.has(i)) continue;
+        tokens.push({
+          text: text.slice(pieceStart, i),
+          index: tokens.length,
+          trailingSpace: i === offset ? token.trailingSpace : '',
+          format: formats[pieceStart]
+        });
+        pieceStart = i;
+      }
+    }
+    return tokens;
+  },
+
+  /**
+   * Normalize text for comparison
+   * @param {string} text - Input text
+   * @param {Object} options - Comparison options
+   * @param {boolean} [options.ignoreCase] - Lowercase
+   * @param {boolean} [options.ignorePunctuation] - Strip everything but letters, numbers and whitespace
+   * @param {string} [options.unicodeNormalization] - 'none', 'NFC' or 'NFKC'
+   * @param {boolean} [options.foldQuotes] - Fold curly quotes and dashes to ASCII
+   * @returns {string} Normalized text
+   */
+  normalize(text, options) {
+    let result = text;
+
+    if (options.unicodeNormalization && options.unicodeNormalization !== 'none') {
+      result = result.normalize(options.unicodeNormalization);
+    }
+    if (options.foldQuotes) {
+      result = result
+        .replace(/[\u2018\u2019\u201A\u201B\u2032\u2039\u203A]/g, "'")
+        .replace(/[\u201C\u201D\u201E\u201F\u2033\u00AB\u00BB]/g, '"')
+        .replace(/[\u2010-\u2015\u2212]/g, '-');
+    }
+    if (options.ignoreCase) {
+      result = result.toLowerCase();
+    }
+    if (options.ignorePunctuation) {
+      result = result.replace(/[^\p{L}\p{N}\s]/gu, '');
+    }
+    return result;
+  },
+
   /**
    * Create fingerprint hash for paragraph (for move detection)
-   * Uses djb2 hash algorithm on normalized text
+   * Uses djb2 hash algorithm on normalized text; whitespace is always collapsed
    * @param {string} text - Paragraph text
+   * @param {Object} [options] - Normalization options (see normalize);
+   *   defaults to ignoring case and punctuation
    * @returns {number} Hash value
    */
-  fingerprint(text) {
-    const normalized = text.toLowerCase()
-      .replace(/[^\p{L}\p{N}\s]/gu, '')
+  fingerprint(text, options = { ignoreCase: true, ignorePunctuation: true }) {
+    const normalized = this.normalize(text, options)
       .replace(/\s+/g, ' ')
       .trim();
 
@@ -66,8 +375,60 @@ const Tokenizer = {
     if (!text.trim()) return 0;
     // Only count tokens that contain at least one letter or number
     return text.trim().split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+  },
+
+  /**
+   * Measure the readability of text
+   * Sentences are split as in tokenizeSentences; the Flesch reading ease
+   * formula and the syllable estimate are meant for English text.
+   * @param {string} text - Input text
+   * @returns {{sentences: number, words: number, syllables: number,
+   *   averageSentenceLength: number, fleschReadingEase: ?number}} Counts, words per
+   *   sentence and the Flesch score (higher reads easier); null without words
+   */
+  readability(text) {
+    let sentences = 0, words = 0, syllables = 0;
+
+    for (const paragraph of this.splitParagraphs(text)) {
+      for (const sentence of this.tokenizeSentences(paragraph)) {
+        const sentenceWords = sentence.text.split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token));
+        if (sentenceWords.length === 0) continue;
+
+        sentences++;
+        words += sentenceWords.length;
+        syllables += sentenceWords.reduce((sum, word) => sum + this.countSyllables(word), 0);
+      }
+    }
+
+    return {
+      sentences,
+      words,
+      syllables,
+      averageSentenceLength: sentences > 0 ? words / sentences : 0,
+      fleschReadingEase: words > 0
+        ? 206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words)
+        : null
+    };
+  },
+
+  /**
+   * Estimate the syllables of an English word from its vowel groups
+   * A silent final e, -es or -ed (except after t or d) does not count; words
+   * without Latin letters, such as numbers, count as one syllable.
+   * @param {string} word - Word
+   * @returns {number} Syllable count, at least 1
+   */
+  countSyllables(word) {
+    const letters = word.toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+    if (letters.length <= 3) return 1;
+
+    const groups = letters
+      .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '')
+      .replace(/^y/, '')
+      .match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 0);
   }
 };
 
 // Export for use in other modules
-window.Tokenizer = Tokenizer;
+export { Tokenizer };
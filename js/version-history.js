@@ -0,0 +1,171 @@
+/**
+ * Version History Module
+ * Builds a cumulative diff over a chain of versions, attributing every word
+ * to the version that introduced it (and, once removed, the version that
+ * deleted it). Each step is a DiffEngine.compare of two consecutive versions.
+ */
+
+import { DiffEngine } from './diff-engine.js';
+
+const VersionHistory = {
+  /**
+   * Compare a chain of versions
+   * Rich text is compared as its source, inline Markdown included, so the
+   * words keep their markup (richText is ignored).
+   * @param {string[]} texts - Version texts, oldest first (at least two)
+   * @param {Object} options - Comparison options (see DiffEngine.defaultOptions)
+   * @param {function(number, number)} [onProgress] - Called with (done, total) work units
+   * @returns {{versions: number, paragraphs: Array<Object>, truncated: boolean}} History;
+   *   paragraphs are in the order of the last version, with deleted ones kept where they
+   *   used to be: {words, block, addedIn?, deletedIn?, movedIn?}, and words are
+   *   {text, trailingSpace, version, deletedIn?} with 0-based version indexes
+   */
+  cumulative(texts, options = {}, onProgress = null) {
+    if (texts.length < 2) {
+      throw new Error('At least two versions are needed for a cumulative diff');
+    }
+
+    const steps = texts.length - 1;
+    let paragraphs = null;
+    let truncated = false;
+
+    for (let step = 0; step < steps; step++) {
+      const progress = onProgress
+        ? (done, total) => onProgress(step * total + done, steps * total)
+        : null;
+      const result = DiffEngine.compare(texts[step], texts[step + 1], { ...options, richText: false }, progress);
+
+      paragraphs = this.applyStep(paragraphs, result, step + 1);
+      truncated = truncated || Boolean(result.truncated);
+    }
+
+    return { versions: texts.length, paragraphs, truncated };
+  },
+
+  /**
+   * Carry the attributed paragraphs of one version over to the next
+   * @param {?Array<Object>} paragraphs - Attributed paragraphs, or null before the first step
+   *   (every word of the first version is then attributed to version 0)
+   * @param {Object} diffResult - DiffEngine.compare result of this version against the next
+   * @param {number} version - Index of the next version
+   * @returns {Array<Object>} Attributed paragraphs of the next version
+   */
+  applyStep(paragraphs, diffResult, version) {
+    // Paragraphs deleted in earlier steps stay in front of the next surviving paragraph
+    const live = [];
+    const deletedBefore = [];
+    let pending = [];
+    for (const para of paragraphs || []) {
+      if (para.deletedIn !== undefined) {
+        pending.push(para);
+      } else {
+        live.push(para);
+        deletedBefore.push(pending);
+        pending = [];
+      }
+    }
+
+    const next = [];
+    let flushed = 0;
+    const flushDeleted = (upTo) => {
+      while (flushed <= upTo && flushed < deletedBefore.length) next.push(...deletedBefore[flushed++]);
+    };
+
+    for (const para of diffResult.paragraphs) {
+      const source = para.originalIndex !== null ? live[para.originalIndex] : null;
+      const words = source ? source.words : null;
+
+      // Moved paragraphs are placed at their destination; the rest keep deleted ones in front
+      if (para.originalIndex !== null && para.movedFrom === null) flushDeleted(para.originalIndex);
+
+      if (para.revisedIndex === null) {
+        next.push({
+          ...(source || {}),
+          words: this.applyOperations(words, para.operations, version, version - 1),
+          block: (source && source.block) || para.originalBlock || para.block,
+          deletedIn: version
+        });
+        continue;
+      }
+
+      const entry = {
+        ...(source || {}),
+        words: this.applyOperations(words, para.operations, version, version - 1),
+        block: para.block
+      };
+      if (para.originalIndex === null) entry.addedIn = version;
+      if (para.movedFrom !== null) entry.movedIn = version;
+      next.push(entry);
+    }
+
+    flushDeleted(Infinity);
+    next.push(...pending);
+    return next;
+  },
+
+  /**
+   * Apply one paragraph's word operations to its attributed words
+   * Deleted words stay in place, marked with the version that deleted them.
+   * @param {?Array<Object>} words - Attributed words of the paragraph (null when unknown)
+   * @param {Array} operations - Diff operations against the next version
+   * @param {number} version - Index of the next version
+   * @param {number} previous - Version to attribute words to when their history is unknown
+   * @returns {Array<Object>} Attributed words
+   */
+  applyOperations(words, operations, version, previous) {
+    const result = [];
+    let position = 0;
+
+    // Next surviving word, carrying along words deleted earlier
+    const take = (oldWord) => {
+      while (words && position < words.length && words[position].deletedIn !== undefined) {
+        result.push(words[position++]);
+      }
+      const word = words && position < words.length ? words[position++] : { version: previous };
+      return { ...word, text: oldWord.text, trailingSpace: oldWord.trailingSpace };
+    };
+    const added = (newWord) => ({ text: newWord.text, trailingSpace: newWord.trailingSpace, version });
+
+    for (const op of operations) {
+      switch (op.type) {
+        case 'equal': {
+          const newWord = op.newWord || op.word;
+          result.push({ ...take(op.word), text: newWord.text, trailingSpace: newWord.trailingSpace });
+          break;
+        }
+        case 'delete':
+          result.push({ ...take(op.word), deletedIn: version });
+          break;
+        case 'insert':
+          result.push(added(op.word));
+          break;
+        case 'modify':
+          result.push({ ...take(op.oldWord), deletedIn: version });
+          result.push(added(op.word));
+          break;
+      }
+    }
+
+    while (words && position < words.length) result.push(words[position++]);
+    return result;
+  },
+
+  /**
+   * Count the words each version added and deleted
+   * @param {Object} history - Result of cumulative()
+   * @returns {Array<{added: number, deleted: number}>} Counts per version index
+   */
+  versionStats(history) {
+    const stats = Array.from({ length: history.versions }, () => ({ added: 0, deleted: 0 }));
+    for (const para of history.paragraphs) {
+      for (const word of para.words) {
+        if (word.version > 0) stats[word.version].added++;
+        if (word.deletedIn !== undefined) stats[word.deletedIn].deleted++;
+      }
+    }
+    return stats;
+  }
+};
+
+// Export for use in other modules
+export { VersionHistory };
@@ -0,0 +1,177 @@
+/**
+ * Zip Module
+ * Minimal ZIP archive reader and writer for document import and export
+ */
+const Zip = {
+  /**
+   * CRC-32 lookup table, built on first use
+   */
+  crcTable: null,
+
+  /**
+   * Compute the CRC-32 checksum of a byte array
+   * @param {Uint8Array} bytes - Input bytes
+   * @returns {number} Unsigned checksum
+   */
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  /**
+   * Build a ZIP archive
+   * Entries are stored uncompressed, in the given order, with UTF-8 names.
+   * @param {Array<{name: string, data: (string|Uint8Array)}>} files - Archive entries;
+   *   string data is encoded as UTF-8
+   * @param {Date} [date] - Modification time for every entry
+   * @returns {Uint8Array} Archive bytes
+   */
+  create(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = this.crc32(data);
+
+      // Local file header
+      const local = new Uint8Array(30 + name.length);
+      const lv = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034B50, true);
+      lv.setUint16(4, 20, true);          // Version needed
+      lv.setUint16(6, 0x0800, true);      // UTF-8 names
+      lv.setUint16(8, 0, true);           // Stored
+      lv.setUint16(10, time, true);
+      lv.setUint16(12, day, true);
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, data.length, true);
+      lv.setUint32(22, data.length, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      // Central directory entry
+      const central = new Uint8Array(46 + name.length);
+      const cv = new DataView(central.buffer);
+      cv.setUint32(0, 0x02014B50, true);
+      cv.setUint16(4, 20, true);          // Version made by
+      cv.setUint16(6, 20, true);
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint16(10, 0, true);
+      cv.setUint16(12, time, true);
+      cv.setUint16(14, day, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, data.length, true);
+      cv.setUint32(24, data.length, true);
+      cv.setUint16(28, name.length, true);
+      cv.setUint32(42, offset, true);
+      central.set(name, 46);
+
+      locals.push(local, data);
+      centrals.push(central);
+      offset += local.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((sum, entry) => sum + entry.length, 0);
+
+    // End of central directory record
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054B50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, end];
+    const archive = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of parts) {
+      archive.set(part, position);
+      position += part.length;
+    }
+    return archive;
+  },
+
+  /**
+   * Read one entry from a ZIP archive
+   * Stored and deflated entries are supported; deflate uses the browser's
+   * DecompressionStream.
+   * @param {Uint8Array} bytes - Archive bytes
+   * @param {string} name - Entry path, e.g. 'word/document.xml'
+   * @returns {Promise<?Uint8Array>} Entry contents, or null when the entry is missing
+   */
+  async extract(bytes, name) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // End of central directory record, searched backwards past a possible comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(position, true) !== 0x02014B50) throw new Error('Corrupt ZIP directory');
+
+      const method = view.getUint16(position + 10, true);
+      const size = view.getUint32(position + 20, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const offset = view.getUint32(position + 42, true);
+      const entryName = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+      if (entryName === name) {
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = bytes.subarray(start, start + size);
+
+        if (method === 0) return data;
+        if (method === 8) return this.inflate(data);
+        throw new Error(`Unsupported ZIP compression method ${method}`);
+      }
+
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+  },
+
+  /**
+   * Decompress raw deflate data
+   * @param {Uint8Array} data - Deflated bytes
+   * @returns {Promise<Uint8Array>} Inflated bytes
+   */
+  async inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+};
+
+// Export for use in other modules
+export { Zip };
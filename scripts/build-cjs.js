@@ -0,0 +1,76 @@
+/**
+ * build-cjs
+ * Generates the CommonJS build in cjs/ from the ES modules in js/, for
+ * require('texttrack') on Node versions that cannot require ES modules.
+ * The modules only use named imports of sibling modules and one named export,
+ * so each one is rewritten line by line; anything else stops the build.
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const source = path.join(root, 'js');
+const output = path.join(root, 'cjs');
+
+const IMPORT = /^import \{ ([\w, ]+) \} from '\.\/([\w-]+)\.js';$/;
+const EXPORT = /^export \{ ([\w, ]+) \};$/;
+const REEXPORT = /^export \{ (\w+) \} from '\.\/([\w-]+)\.js';$/;
+
+/**
+ * Rewrite one module as CommonJS
+ * @param {string} code - ES module source
+ * @param {string} file - File name, for errors
+ * @returns {{code: string, dependencies: string[]}} CommonJS source and the modules it requires
+ * @throws {Error} On import or export forms the build does not handle
+ */
+function toCommonJS(code, file) {
+  const dependencies = [];
+  const reexports = [];
+
+  const lines = code.split('\n').map((line, index) => {
+    let match = line.match(IMPORT);
+    if (match) {
+      dependencies.push(match[2]);
+      return `const { ${match[1]} } = require('./${match[2]}.cjs');`;
+    }
+    if ((match = line.match(EXPORT))) return `module.exports = { ${match[1]} };`;
+    if ((match = line.match(REEXPORT))) {
+      dependencies.push(match[2]);
+      reexports.push(`  ${match[1]}: require('./${match[2]}.cjs').${match[1]}`);
+      return null;
+    }
+    if (/^\s*(import|export)\b|import\.meta/.test(line)) {
+      throw new Error(`${file}:${index + 1}: cannot convert "${line.trim()}"`);
+    }
+    return line;
+  }).filter(line => line !== null);
+
+  let body = lines.join('\n');
+  if (reexports.length > 0) body = `${body.trimEnd()}\n\nmodule.exports = {\n${reexports.join(',\n')}\n};\n`;
+  return { code: `'use strict';\n\n${body}`, dependencies };
+}
+
+/**
+ * Convert the package entry and every module it reaches
+ */
+async function build() {
+  await rm(output, { recursive: true, force: true });
+  await mkdir(output);
+
+  const pending = ['index'];
+  const done = new Set();
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (done.has(name)) continue;
+    done.add(name);
+
+    const file = `${name}.js`;
+    const { code, dependencies } = toCommonJS(await readFile(path.join(source, file), 'utf8'), file);
+    await writeFile(path.join(output, `${name}.cjs`), code);
+    pending.push(...dependencies);
+  }
+}
+
+await build();
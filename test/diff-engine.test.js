@@ -0,0 +1,114 @@
+/**
+ * Diff engine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiffEngine } from '../js/diff-engine.js';
+
+/**
+ * Paragraph alignment of a comparison, e.g. "modified 1>0"
+ * @param {Object} result - Diff result
+ * @returns {string[]} Type and original>revised index of each paragraph
+ */
+function layout(result) {
+  return result.paragraphs.map(p => `${p.type} ${p.originalIndex ?? '-'}>${p.revisedIndex ?? '-'}`);
+}
+
+test('alignment pairs the most similar paragraph, not the first similar one', () => {
+  const result = DiffEngine.compare(
+    'The cat sat on the mat today.\n\nThe cat sat on the warm mat near the door today.',
+    'The cat sat on the warm mat near the front door today.'
+  );
+  assert.deepEqual(layout(result), ['deleted 0>-', 'modified 1>0']);
+});
+
+test('alignment keeps identical paragraphs paired around an insertion', () => {
+  const result = DiffEngine.compare(
+    'One fish two fish.\n\nRed fish blue fish.\n\nThe end of it all.',
+    'One fish two fish three.\n\nSomething entirely new here.\n\nRed fish blue fish green.\n\nThe end of it all.'
+  );
+  assert.deepEqual(layout(result), ['modified 0>0', 'added ->1', 'modified 1>2', 'unchanged 2>3']);
+});
+
+test('dissimilar paragraphs are not paired: deletions come before additions', () => {
+  const result = DiffEngine.compare('Apples are red.\n\nBananas are yellow.', 'Cherries grow on trees.\n\nDates are sweet.');
+  assert.deepEqual(layout(result), ['deleted 0>-', 'deleted 1>-', 'added ->0', 'added ->1']);
+});
+
+test('markdown blocks of different types are never paired', () => {
+  const result = DiffEngine.compare('# Title words here\n\nTitle words here', 'Title words here now\n\n# Title words here now', { markdown: true });
+  assert.deepEqual(layout(result), ['deleted 0>-', 'modified 1>0', 'added ->1']);
+});
+
+test('ranges too large for a score table align on identical anchor paragraphs', (t) => {
+  const original = 'A a a.\n\nB b b.\n\nC c c.\n\nD d d.';
+  const revised = 'A a a.\n\nB b b x.\n\nC c c.\n\nE e e.';
+  const expected = layout(DiffEngine.compare(original, revised));
+
+  const limit = DiffEngine.alignmentCellLimit;
+  t.after(() => { DiffEngine.alignmentCellLimit = limit; });
+  DiffEngine.alignmentCellLimit = 1;
+
+  assert.deepEqual(layout(DiffEngine.compare(original, revised)), expected);
+  assert.deepEqual(expected, ['unchanged 0>0', 'modified 1>1', 'unchanged 2>2', 'deleted 3>-', 'added ->3']);
+});
+
+/**
+ * Rebuild one side of a paragraph from its diff operations
+ * @param {Array} operations - Diff operations
+ * @param {string} side - 'original' or 'revised'
+ * @returns {string[]} Token texts of that side
+ */
+function sideTexts(operations, side) {
+  const skipped = side === 'original' ? 'insert' : 'delete';
+  return operations.filter(op => op.type !== skipped)
+    .map(op => (side === 'revised' && op.newWord ? op.newWord : op.word).text);
+}
+
+const numbered = 'one two three four five six seven eight nine ten';
+const renumbered = 'one 2 three 4 five 6 seven 8 nine 10';
+
+test('diffs within the budget are exact and not truncated', () => {
+  const result = DiffEngine.compare(numbered, renumbered, { maxEditDistance: 20 });
+  assert.equal(result.truncated, false);
+  assert.equal(result.paragraphs[0].operations.filter(op => op.type === 'equal').length, 5);
+});
+
+test('an edit distance budget that runs out flags a coarser but valid diff', () => {
+  const result = DiffEngine.compare(numbered, renumbered, { maxEditDistance: 2 });
+  const { operations } = result.paragraphs[0];
+
+  assert.equal(result.truncated, true);
+  assert.equal(operations.filter(op => op.type === 'equal').length, 1);
+  assert.deepEqual(sideTexts(operations, 'original'), numbered.split(' '));
+  assert.deepEqual(sideTexts(operations, 'revised'), renumbered.split(' '));
+});
+
+test('a diff timeout that runs out flags the result, and truncated diffs are not cached', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => (now += 1000));
+  const timedOut = DiffEngine.compare(numbered, renumbered, { diffTimeout: 10 });
+  assert.equal(timedOut.truncated, true);
+
+  t.mock.restoreAll();
+  const result = DiffEngine.compare(numbered, renumbered, { diffTimeout: 10 });
+  assert.equal(result.truncated, false);
+  assert.equal(result.paragraphs[0].operations.filter(op => op.type === 'equal').length, 5);
+});
+
+test('zero limits mean no budget', () => {
+  const budget = DiffEngine.createBudget({ diffTimeout: 0, maxEditDistance: 0 });
+  assert.deepEqual(budget, { deadline: Infinity, maxEditDistance: Infinity, truncated: false });
+  assert.equal(DiffEngine.budgetExceeded(budget, 1e9), false);
+  assert.equal(DiffEngine.budgetExceeded(null, 1e9), false);
+});
+
+test('the budget is exceeded past the edit distance or the deadline', () => {
+  const budget = DiffEngine.createBudget({ diffTimeout: 60000, maxEditDistance: 3 });
+  assert.equal(DiffEngine.budgetExceeded(budget, 3), false);
+  assert.equal(DiffEngine.budgetExceeded(budget, 4), true);
+
+  budget.deadline = Date.now() - 1;
+  assert.equal(DiffEngine.budgetExceeded(budget, 0), true);
+});
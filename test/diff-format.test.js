@@ -0,0 +1,65 @@
+/**
+ * JSON diff format
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiffEngine } from '../js/diff-engine.js';
+import { DiffFormat } from '../js/diff-format.js';
+import { Renderer } from '../js/renderer.js';
+
+const original = '# Title\n\n- item one\n  - nested two\n\n```js\ncode\n```\n\nPlain paragraph.';
+const revised = '## Title\n\n1. item one\n   - nested two too\n\n```js\ncode2\n```\n\nPlain paragraph!';
+
+/**
+ * Diff document of a Markdown comparison, as read back from a file
+ * @returns {Object} Parsed diff document
+ */
+function markdownDocument() {
+  const result = DiffEngine.compare(original, revised, { markdown: true });
+  return JSON.parse(JSON.stringify(DiffFormat.serialize(result, original, revised)));
+}
+
+test('markdown comparisons round-trip with their blocks', () => {
+  const document = markdownDocument();
+  assert.deepEqual(DiffFormat.validate(document), []);
+
+  const result = DiffFormat.deserialize(document);
+  assert.deepEqual(result.paragraphs[0].block, { type: 'heading', level: 2 });
+  assert.deepEqual(result.paragraphs[0].originalBlock, { type: 'heading', level: 1 });
+});
+
+test('blocks with unknown types or invalid metadata are rejected', () => {
+  const document = markdownDocument();
+  const { paragraphs } = document;
+  const list = paragraphs.findIndex(para => para.block.type === 'list');
+  const code = paragraphs.findIndex(para => para.block.type === 'code');
+  const last = paragraphs.length - 1;
+
+  paragraphs[0].block.level = '1><img src=x onerror=alert(1)><h1';
+  paragraphs[0].originalBlock.level = -1;
+  Object.assign(paragraphs[list].block, { ordered: 'yes', marker: 1, depth: 0.5, style: 'x' });
+  paragraphs[code].block.lang = null;
+  paragraphs[last].block = { type: 'script' };
+
+  assert.deepEqual(DiffFormat.validate(document), [
+    'paragraphs[0].block.level: expected an integer from 1 to 6',
+    'paragraphs[0].originalBlock.level: expected an integer from 1 to 6',
+    `paragraphs[${list}].block.style: unexpected for a list block`,
+    `paragraphs[${list}].block.ordered: expected a boolean`,
+    `paragraphs[${list}].block.marker: expected a string`,
+    `paragraphs[${list}].block.depth: expected a non-negative integer`,
+    `paragraphs[${code}].block.lang: expected a string`,
+    `paragraphs[${last}].block.type: expected one of paragraph, heading, list, code, quote, rule, table`
+  ]);
+  assert.throws(() => DiffFormat.deserialize(document), /^Error: Not a valid diff file/);
+});
+
+test('block levels and depths render as numbers only', () => {
+  const heading = Renderer.renderBlock({ type: 'modified', block: { type: 'heading', level: '1><img src=x onerror=alert(1)><h1' } }, 'diff-paragraph', '', 'x');
+  assert.equal(heading, '<h1 class="diff-paragraph md-heading">x</h1>');
+
+  const item = Renderer.renderBlock({ type: 'modified', block: { type: 'list', ordered: true, marker: '1.', depth: '2"><img>' } }, 'diff-paragraph', '', 'x');
+  assert.match(item, /style="--md-depth: 0"/);
+  assert.doesNotMatch(item, /<img/);
+});
@@ -0,0 +1,62 @@
+/**
+ * Three-way merge
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Merge } from '../js/merge.js';
+
+const base = 'The quick brown fox jumps.';
+
+test('changes to different words merge without conflicts', () => {
+  const result = Merge.merge(base, 'The quick red fox jumps.', 'The quick brown fox leaps.');
+  assert.equal(result.conflicts, 0);
+  assert.deepEqual(result.chunks.map(chunk => chunk.side || chunk.type), ['stable', 'a', 'stable', 'b']);
+  assert.equal(Merge.toText(result), 'The quick red fox leaps.\n');
+});
+
+test('the same change on both sides is merged once', () => {
+  const result = Merge.merge(base, 'The quick red fox jumps.', 'The quick red fox jumps.');
+  assert.equal(result.conflicts, 0);
+  assert.equal(result.chunks[1].side, 'both');
+  assert.equal(Merge.toText(result), 'The quick red fox jumps.\n');
+});
+
+test('different changes to the same words conflict and are written with markers', () => {
+  const result = Merge.merge(base, 'The quick red fox jumps.', 'The quick blue fox jumps.');
+  assert.equal(result.conflicts, 1);
+  assert.equal(Merge.toText(result),
+    'The quick\n<<<<<<< A\nred\n||||||| Base\nbrown\n=======\nblue\n>>>>>>> B\nfox jumps.\n');
+});
+
+test('insertions at the same place conflict', () => {
+  const result = Merge.merge('One two.', 'One and two.', 'One or two.');
+  assert.equal(result.conflicts, 1);
+  assert.deepEqual(result.chunks[1].base, []);
+});
+
+test('resolved conflicts take A, B, both or the base', () => {
+  const result = Merge.merge(base, 'The quick red fox jumps.', 'The quick blue fox jumps.');
+  assert.equal(Merge.toText(result, { 0: 'a' }), 'The quick red fox jumps.\n');
+  assert.equal(Merge.toText(result, { 0: 'b' }), 'The quick blue fox jumps.\n');
+  assert.equal(Merge.toText(result, { 0: 'both' }), 'The quick red blue fox jumps.\n');
+  assert.equal(Merge.toText(result, { 0: 'base' }), 'The quick brown fox jumps.\n');
+});
+
+test('paragraphs added at both ends merge', () => {
+  const result = Merge.merge('One.\n\nTwo.', 'Zero.\n\nOne.\n\nTwo.', 'One.\n\nTwo.\n\nThree.');
+  assert.equal(result.conflicts, 0);
+  assert.equal(Merge.toText(result), 'Zero.\n\nOne.\n\nTwo.\n\nThree.\n');
+});
+
+test('differences ignored by the options keep their base form', () => {
+  const result = Merge.merge('One two.', 'ONE two.', 'One two three.', { ignoreCase: true });
+  assert.equal(result.conflicts, 0);
+  assert.equal(Merge.toText(result), 'One two three.\n');
+});
+
+test('a merge past the work budget is flagged truncated', () => {
+  const result = Merge.merge('a b c d e f', 'a x c y e z', 'a b c d e f g', { maxEditDistance: 1 });
+  assert.equal(result.truncated, true);
+  assert.equal(Merge.toText(result), 'a x c y e z g\n');
+});
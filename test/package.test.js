@@ -0,0 +1,24 @@
+/**
+ * Package entry points (the CommonJS build comes from npm run build)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import * as entry from '../js/index.js';
+
+const require = createRequire(import.meta.url);
+
+test('require resolves to the CommonJS build', () => {
+  assert.equal(path.relative(process.cwd(), require.resolve('texttrack')), path.join('cjs', 'index.cjs'));
+});
+
+test('the CommonJS build exports what the ES entry does and compares the same', () => {
+  const cjs = require('texttrack');
+  assert.deepEqual(Object.keys(cjs).sort(), Object.keys(entry).sort());
+
+  const original = 'One two three.\n\nFour five.';
+  const revised = 'Four five six.\n\nOne 2 three.';
+  assert.deepEqual(cjs.DiffEngine.compare(original, revised).stats, entry.DiffEngine.compare(original, revised).stats);
+});
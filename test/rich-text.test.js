@@ -0,0 +1,44 @@
+/**
+ * Rich-text links
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RichText } from '../js/rich-text.js';
+import { DiffEngine } from '../js/diff-engine.js';
+import { Renderer } from '../js/renderer.js';
+
+/**
+ * Render a rich-text comparison the way Show mode does
+ * @param {string} original - Original text
+ * @param {string} revised - Revised text
+ * @returns {string} HTML string
+ */
+function render(original, revised) {
+  const result = DiffEngine.compare(original, revised, { richText: true });
+  return result.paragraphs.map(paragraph => Renderer.renderOperations(paragraph.operations, 'visible')).join('');
+}
+
+test('control characters and spaces cannot hide a link scheme', () => {
+  for (const url of ['\u0001javascript:alert(1)', ' javascript:alert(1)', '\u0000\u001fJavaScript:alert(1)',
+    'java\tscript:alert(1)', 'java\nscript:alert(1)', 'javascript:alert(1)\u0001']) {
+    assert.equal(RichText.safeUrl(url), null, JSON.stringify(url));
+  }
+});
+
+test('web, mail and relative links are kept', () => {
+  assert.equal(RichText.safeUrl('https://example.com/a?b=c'), 'https://example.com/a?b=c');
+  assert.equal(RichText.safeUrl('mailto:someone@example.com'), 'mailto:someone@example.com');
+  assert.equal(RichText.safeUrl(' docs/page.html#intro '), 'docs/page.html#intro');
+});
+
+test('a link hidden behind a control character renders without an address', () => {
+  const html = render('See [x](\u0001javascript:alert%28document.cookie%29) now', 'See [x](\u0001javascript:alert%28document.cookie%29)');
+  assert.match(html, /class="rich-link"/);
+  assert.doesNotMatch(html, /href=/);
+});
+
+test('a web link renders with its address', () => {
+  const html = render('See [x](https://example.com) now', 'See [x](https://example.com)');
+  assert.match(html, /href="https:\/\/example\.com"/);
+});
@@ -0,0 +1,202 @@
+/**
+ * texttrack command-line tool
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { cp, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DiffFormat } from '../js/index.js';
+
+const bin = fileURLToPath(new URL('../bin/texttrack.js', import.meta.url));
+const hasPatch = spawnSync('patch', ['--version']).status === 0;
+
+/**
+ * Run texttrack
+ * @param {string[]} args - Command-line arguments
+ * @param {string} [cwd] - Working directory
+ * @returns {{status: number, stdout: string, stderr: string}} Exit status and output
+ */
+function texttrack(args, cwd) {
+  const result = spawnSync(process.execPath, [bin, ...args], { cwd, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Create a temporary directory with files, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object<string, string>} files - Relative path to content
+ * @returns {Promise<string>} Directory path
+ */
+async function fixture(t, files) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'texttrack-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  for (const [file, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await writeFile(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+/**
+ * Two directories: one file unchanged, one changed in a subdirectory,
+ * one only in each, and hidden files that are skipped
+ */
+const directories = {
+  'a/same.txt': 'Same.\n',
+  'b/same.txt': 'Same.\n',
+  'a/sub/changed.txt': 'One two three.\n',
+  'b/sub/changed.txt': 'One 2 three.\n',
+  'a/gone.txt': 'Gone.\n',
+  'b/new.txt': 'New.\n',
+  'a/.hidden': 'x',
+  'b/.hidden': 'y'
+};
+
+test('unified output applies to the original file with patch', { skip: !hasPatch && 'patch is not installed' }, async (t) => {
+  const dir = await fixture(t, {
+    'original.txt': 'Title\n\n\n    indented line\ntrailing space  \n\nLast paragraph',
+    'revised.txt': 'Title\n\n\n    indented line, edited\ntrailing space  \n\n\nLast paragraph\n'
+  });
+  const original = path.join(dir, 'original.txt');
+  const revised = path.join(dir, 'revised.txt');
+
+  const { status, stdout } = texttrack([original, revised]);
+  assert.equal(status, 1);
+
+  const patchFile = path.join(dir, 'changes.patch');
+  await writeFile(patchFile, stdout);
+  const applied = spawnSync('patch', ['--silent', original, patchFile], { encoding: 'utf8' });
+  assert.equal(applied.status, 0, applied.stdout + applied.stderr);
+  assert.equal(await readFile(original, 'utf8'), await readFile(revised, 'utf8'));
+});
+
+test('identical files exit with 0 and print nothing', async (t) => {
+  const dir = await fixture(t, { 'same.txt': 'Same text.\n' });
+  const file = path.join(dir, 'same.txt');
+
+  const { status, stdout } = texttrack([file, file]);
+  assert.equal(status, 0);
+  assert.equal(stdout, '');
+});
+
+test('directories are compared file by file, with /dev/null for one-sided files', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stdout } = texttrack(['a', 'b'], dir);
+  assert.equal(status, 1);
+  assert.deepEqual(stdout.split('\n').filter(line => /^(---|\+\+\+) /.test(line)), [
+    `--- ${path.join('a', 'gone.txt')}`, '+++ /dev/null',
+    '--- /dev/null', `+++ ${path.join('b', 'new.txt')}`,
+    `--- ${path.join('a', 'sub', 'changed.txt')}`, `+++ ${path.join('b', 'sub', 'changed.txt')}`
+  ]);
+});
+
+test('a directory patch turns the original directory into the revised one', { skip: !hasPatch && 'patch is not installed' }, async (t) => {
+  const dir = await fixture(t, directories);
+  await writeFile(path.join(dir, 'changes.patch'), texttrack(['a', 'b'], dir).stdout);
+  await cp(path.join(dir, 'a'), path.join(dir, 'patched'), { recursive: true });
+
+  const applied = spawnSync('patch', ['-p1', '--silent', '-d', 'patched', '-i', '../changes.patch'], { cwd: dir, encoding: 'utf8' });
+  assert.equal(applied.status, 0, applied.stdout + applied.stderr);
+  assert.equal(texttrack(['patched', 'b'], dir).status, 0);
+});
+
+test('a directory cannot be compared with a file', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stdout, stderr } = texttrack(['a', path.join('b', 'new.txt')], dir);
+  assert.equal(status, 2);
+  assert.equal(stdout, '');
+  assert.equal(stderr, 'texttrack: Cannot compare a directory with a file\n');
+});
+
+test('json output is a valid diff document with the texts', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stdout } = texttrack(['-f', 'json', path.join('a', 'sub', 'changed.txt'), path.join('b', 'sub', 'changed.txt')], dir);
+  assert.equal(status, 1);
+
+  const document = JSON.parse(stdout);
+  assert.deepEqual(DiffFormat.validate(document), []);
+  assert.deepEqual(document.texts, { original: 'One two three.\n', revised: 'One 2 three.\n' });
+});
+
+test('json output for directories lists every file', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stdout } = texttrack(['--format', 'json', 'a', 'b'], dir);
+  assert.equal(status, 1);
+
+  const { files } = JSON.parse(stdout);
+  assert.deepEqual(files.map(file => [file.path, file.changed]), [
+    ['gone.txt', true], ['new.txt', true], ['same.txt', false], [path.join('sub', 'changed.txt'), true]
+  ]);
+  assert.equal(files[0].revised, null);
+  assert.equal(files[1].original, null);
+  for (const file of files) assert.deepEqual(DiffFormat.validate(file.diff), []);
+});
+
+test('word-diff output marks deleted and inserted words', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stdout } = texttrack(['-f', 'word-diff', 'a', 'b'], dir);
+  assert.equal(status, 1);
+  assert.match(stdout, /^\[-Gone\.-\]$/m);
+  assert.match(stdout, /^\{\+New\.\+\}$/m);
+  assert.match(stdout, /^One \[-two-\]\{\+2\+\} three\.$/m);
+});
+
+test('html output is a standalone report with its styles inlined', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stdout } = texttrack(['-f', 'html', 'a', 'b'], dir);
+  assert.equal(status, 1);
+  assert.match(stdout, /^<!DOCTYPE html>/);
+  assert.match(stdout, /<title>a → b<\/title>/);
+  assert.match(stdout, /<style>/);
+  assert.doesNotMatch(stdout, /<link rel="stylesheet"/);
+  assert.match(stdout, /class="word-deleted">two</);
+  assert.match(stdout, /class="word-inserted">2</);
+});
+
+test('--quiet prints nothing but still sets the exit status', async (t) => {
+  const dir = await fixture(t, directories);
+  assert.deepEqual(texttrack(['-q', 'a', 'b'], dir), { status: 1, stdout: '', stderr: '' });
+});
+
+test('bad options exit with 2 and print the usage', async (t) => {
+  const dir = await fixture(t, directories);
+
+  for (const args of [
+    ['-f', 'xml', 'a', 'b'],
+    ['--granularity', 'letter', 'a', 'b'],
+    ['--normalize', 'NFD', 'a', 'b'],
+    ['--context=-1', 'a', 'b'],
+    ['--no-such-option', 'a', 'b'],
+    ['a']
+  ]) {
+    const { status, stdout, stderr } = texttrack(args, dir);
+    assert.equal(status, 2, args.join(' '));
+    assert.equal(stdout, '');
+    assert.match(stderr, /^texttrack: .+\n\nUsage: texttrack/s);
+  }
+});
+
+test('missing files exit with 2', async (t) => {
+  const dir = await fixture(t, directories);
+
+  const { status, stderr } = texttrack(['a', 'missing'], dir);
+  assert.equal(status, 2);
+  assert.match(stderr, /^texttrack: .*missing/);
+});
+
+test('--help prints the usage and exits with 0', () => {
+  const { status, stdout } = texttrack(['--help']);
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: texttrack/);
+});